@@ -0,0 +1,105 @@
+// Default constants
+const AB_RECORDER_CHUNK_FRAMES = 16384;  // Frames per chunk posted to the main thread
+
+/**
+ * AudioWorklet processor capturing two inputs (dry and processed) for A/B listening
+ * Both inputs are rendered in the same quantum, so the two captures stay frame-aligned.
+ *
+ * Architecture: Input 0 (dry: limiter source) ┐
+ *               Input 1 (processed: limiter output) ┴→ Chunks → Main thread
+ */
+class ABRecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const processorOptions = options.processorOptions || {};
+    this.channelCount = processorOptions.channelCount || 2;
+    this.maxFrames = processorOptions.maxFrames || Infinity;
+
+    this.recording = false;
+    this.recordedFrames = 0;
+    this.allocate();
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'start') {
+        this.allocate();
+        this.recordedFrames = 0;
+        this.recording = true;
+      } else if (event.data.type === 'stop') {
+        this.recording = false;
+        this.flush();
+        this.port.postMessage({ type: 'stopped', frames: this.recordedFrames });
+      }
+    };
+  }
+
+  /**
+   * Fresh chunk buffers: [input][channel]
+   */
+  allocate() {
+    this.buffers = [0, 1].map(() => {
+      const channels = [];
+      for (let ch = 0; ch < this.channelCount; ch++) {
+        channels.push(new Float32Array(AB_RECORDER_CHUNK_FRAMES));
+      }
+      return channels;
+    });
+    this.fill = 0;
+  }
+
+  /**
+   * Post the filled part of the current chunk and start new buffers
+   * The chunk buffers are transferred (not copied); views cover only the filled frames
+   */
+  flush() {
+    if (this.fill === 0) return;
+
+    const [dry, processed] = this.buffers.map(channels => channels.map(data => data.subarray(0, this.fill)));
+    this.port.postMessage(
+      { type: 'chunk', dry, processed },
+      [...dry, ...processed].map(data => data.buffer)
+    );
+    this.allocate();
+  }
+
+  /**
+   * Main processing function - called for each 128-sample block
+   */
+  process(inputs) {
+    if (!this.recording) return true;
+
+    const length = Math.min(
+      (inputs[0][0] || inputs[1][0] || { length: 128 }).length,
+      this.maxFrames - this.recordedFrames
+    );
+
+    // Unconnected inputs have no channels and are recorded as silence
+    for (let input = 0; input < 2; input++) {
+      const channels = inputs[input] || [];
+      for (let ch = 0; ch < this.channelCount; ch++) {
+        const target = this.buffers[input][ch];
+        const source = channels[ch] || channels[0];
+        if (source) {
+          target.set(source.subarray(0, length), this.fill);
+        } else {
+          target.fill(0, this.fill, this.fill + length);
+        }
+      }
+    }
+
+    this.fill += length;
+    this.recordedFrames += length;
+
+    if (this.recordedFrames >= this.maxFrames) {
+      this.recording = false;
+      this.flush();
+      this.port.postMessage({ type: 'full', frames: this.recordedFrames });
+    } else if (this.fill + 128 > AB_RECORDER_CHUNK_FRAMES) {
+      this.flush();
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('ab-recorder-processor', ABRecorderProcessor);
@@ -0,0 +1,346 @@
+/**
+ * A/B recorder: captures the unprocessed input and the limiter output of a session
+ * and exports them time-aligned as WAV, for listening to what the limiter did
+ */
+const AB_RECORDER_WORKLET_MODULES = ['recorder']; // See WorkletLoader
+const AB_RECORDER_CHANNEL_COUNT = 2;     // Channels captured per side (mono input is upmixed)
+const AB_RECORDER_MAX_DURATION = 300;    // seconds - capture stops after this (~0.75 MB per second)
+const AB_RECORDER_LAYOUTS = ['stereo', 'pair'];
+
+class ABRecorder extends EventTarget {
+  constructor(processor, { maxDuration = AB_RECORDER_MAX_DURATION } = {}) {
+    super();
+
+    this.processor = processor;
+    this.maxDuration = maxDuration;
+    this.recorderNode = null;
+    this.initializing = null;
+    this.tappedSource = null;
+    this.tappedOutput = null;
+
+    this.isRecording = false;
+    this.chunks = [];
+    this.latencySamples = 0;
+    this.truncated = false;
+    this.stopResolver = null;
+    this.limitedRecording = null;        // Capture that ended at maxDuration, until stop() takes it
+
+    // Called when maxDuration is reached (capture has stopped, stop() still returns the audio),
+    // along with a 'limit' event
+    this.onLimitReached = null;
+  }
+
+  /**
+   * Load the recorder worklet on the processor's audio context
+   * Concurrent calls (e.g. start() clicked twice) wait for the same node
+   */
+  async initialize() {
+    if (this.recorderNode) return;
+
+    if (!this.initializing) {
+      this.initializing = this.createNode().finally(() => {
+        this.initializing = null;
+      });
+    }
+    await this.initializing;
+  }
+
+  async createNode() {
+    const audioCtx = this.processor.audioCtx;
+    if (!audioCtx) {
+      throw this.reportError(new Error('Processor must be initialized before the A/B recorder'), 'create');
+    }
+
+    try {
+      await WorkletLoader.load(audioCtx, AB_RECORDER_WORKLET_MODULES);
+    } catch (error) {
+      throw this.reportError(
+        new Error('Failed to load A/B recorder worklet. Make sure you are running from a web server (not file://).', { cause: error }),
+        'load'
+      );
+    }
+
+    try {
+      this.recorderNode = new AudioWorkletNode(audioCtx, 'ab-recorder-processor', {
+        numberOfInputs: 2,
+        numberOfOutputs: 0,
+        channelCount: AB_RECORDER_CHANNEL_COUNT,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers',
+        processorOptions: {
+          channelCount: AB_RECORDER_CHANNEL_COUNT,
+          maxFrames: Math.round(this.maxDuration * audioCtx.sampleRate),
+        },
+      });
+    } catch (error) {
+      throw this.reportError(new Error('Failed to create AudioWorklet node.', { cause: error }), 'create');
+    }
+
+    this.recorderNode.port.onmessage = (event) => this.handleWorkletMessage(event.data);
+    this.recorderNode.onprocessorerror = () => {
+      this.reportError(new Error('Recorder processor stopped after an uncaught error'), 'process');
+    };
+    this.emitStateChange();
+  }
+
+  /**
+   * Lifecycle state: 'idle' (not initialized), 'ready' (initialized, not capturing) or 'recording'
+   */
+  get state() {
+    if (!this.recorderNode) return 'idle';
+    return this.isRecording ? 'recording' : 'ready';
+  }
+
+  /**
+   * Dispatch a CustomEvent carrying detail
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  emitStateChange() {
+    this.emit('statechange', { state: this.state });
+  }
+
+  /**
+   * Dispatch an 'error' event and return the error (for throwing)
+   */
+  reportError(error, phase) {
+    this.emit('error', { error, phase });
+    return error;
+  }
+
+  /**
+   * Tap the processor's current source (input 0) and limiter output (input 1)
+   */
+  connectTaps() {
+    this.disconnectTaps();
+
+    this.tappedSource = this.processor.sourceNode;
+    this.tappedOutput = this.processor.limiterNode;
+    if (this.tappedSource) {
+      this.tappedSource.connect(this.recorderNode, 0, 0);
+    }
+    if (this.tappedOutput) {
+      this.tappedOutput.connect(this.recorderNode, 0, 1);
+    }
+  }
+
+  disconnectTaps() {
+    [this.tappedSource, this.tappedOutput].forEach(node => {
+      if (!node) return;
+      try {
+        node.disconnect(this.recorderNode);
+      } catch (e) {
+        // Ignore if already disconnected
+      }
+    });
+
+    this.tappedSource = null;
+    this.tappedOutput = null;
+  }
+
+  /**
+   * Follow the processor after its source was switched while recording
+   */
+  reconnect() {
+    if (this.isRecording && this.tappedSource !== this.processor.sourceNode) {
+      this.connectTaps();
+    }
+  }
+
+  /**
+   * Start capturing (discards any previous capture)
+   */
+  async start() {
+    await this.initialize();
+    if (this.isRecording) return;
+
+    this.chunks = [];
+    this.truncated = false;
+    this.limitedRecording = null;
+
+    // The limiter output lags its input by the lookahead delay, which stays fixed until stop()
+    const latency = this.processor.getLatency();
+    this.latencySamples = latency ? latency.samples : 0;
+    this.processor.lockLatency();
+
+    this.connectTaps();
+    this.recorderNode.port.postMessage({ type: 'start' });
+    this.isRecording = true;
+    this.emitStateChange();
+  }
+
+  /**
+   * Stop capturing and return the aligned recording:
+   * { sampleRate, duration, latencySamples, truncated, dry: Float32Array[], processed: Float32Array[] }
+   */
+  async stop() {
+    if (!this.isRecording) {
+      // A capture that ended at maxDuration is returned once
+      const recording = this.limitedRecording;
+      this.limitedRecording = null;
+      return recording;
+    }
+    this.isRecording = false;
+    this.emitStateChange();
+
+    // The worklet flushes its last chunk before confirming
+    const stopped = new Promise(resolve => {
+      this.stopResolver = resolve;
+    });
+    this.recorderNode.port.postMessage({ type: 'stop' });
+    await stopped;
+
+    return this.finishCapture();
+  }
+
+  /**
+   * Release the taps and the latency lock, and return the aligned recording
+   */
+  finishCapture() {
+    this.disconnectTaps();
+    this.processor.unlockLatency();
+
+    return ABRecorder.align(
+      ABRecorder.joinChunks(this.chunks, 'dry'),
+      ABRecorder.joinChunks(this.chunks, 'processed'),
+      this.latencySamples,
+      this.processor.audioCtx.sampleRate,
+      this.truncated
+    );
+  }
+
+  /**
+   * Handle messages posted by the recorder worklet
+   */
+  handleWorkletMessage(data) {
+    if (data.type === 'chunk') {
+      this.chunks.push(data);
+    } else if (data.type === 'full') {
+      // The worklet has stopped capturing and flushed its last chunk (unless stop() got there first)
+      this.truncated = true;
+      if (this.isRecording) {
+        this.isRecording = false;
+        this.limitedRecording = this.finishCapture();
+        this.emitStateChange();
+      }
+      if (this.onLimitReached) {
+        this.onLimitReached();
+      }
+      this.emit('limit', { maxDuration: this.maxDuration });
+    } else if (data.type === 'stopped' && this.stopResolver) {
+      this.stopResolver();
+      this.stopResolver = null;
+    }
+  }
+
+  /**
+   * Concatenate one side ('dry' / 'processed') of the recorded chunks into one array per channel
+   */
+  static joinChunks(chunks, side) {
+    const numChannels = chunks.length > 0 ? chunks[0][side].length : AB_RECORDER_CHANNEL_COUNT;
+    const length = chunks.reduce((total, chunk) => total + chunk[side][0].length, 0);
+
+    const channels = [];
+    for (let ch = 0; ch < numChannels; ch++) {
+      const data = new Float32Array(length);
+      let offset = 0;
+      chunks.forEach(chunk => {
+        data.set(chunk[side][ch], offset);
+        offset += chunk[side][ch].length;
+      });
+      channels.push(data);
+    }
+    return channels;
+  }
+
+  /**
+   * Drop the lookahead delay from the start of the processed capture (and the same amount from
+   * the end of the dry one) so sample i of both is the same moment of the input
+   */
+  static align(dry, processed, latencySamples, sampleRate, truncated = false) {
+    const length = Math.max(0, (dry.length > 0 ? dry[0].length : 0) - latencySamples);
+
+    return {
+      sampleRate: sampleRate,
+      duration: length / sampleRate,
+      latencySamples: latencySamples,
+      truncated: truncated,
+      dry: dry.map(data => data.subarray(0, length)),
+      processed: processed.map(data => data.subarray(latencySamples, latencySamples + length)),
+    };
+  }
+
+  /**
+   * Average channels to mono
+   */
+  static downmix(channels) {
+    const mono = new Float32Array(channels.length > 0 ? channels[0].length : 0);
+    channels.forEach(data => {
+      for (let i = 0; i < mono.length; i++) {
+        mono[i] += data[i] / channels.length;
+      }
+    });
+    return mono;
+  }
+
+  /**
+   * Encode a recording as WAV files: [{ name, blob }]
+   * - 'stereo': one file, unprocessed on the left and processed on the right (each downmixed to mono)
+   * - 'pair': two files keeping all channels, "<baseName>-dry.wav" and "<baseName>-processed.wav"
+   */
+  static toWavFiles(recording, { layout = 'stereo', format = 'int16', baseName = 'ab-recording' } = {}) {
+    if (!AB_RECORDER_LAYOUTS.includes(layout)) {
+      throw new Error(`Unsupported A/B layout: ${layout}`);
+    }
+
+    if (layout === 'stereo') {
+      const channels = [ABRecorder.downmix(recording.dry), ABRecorder.downmix(recording.processed)];
+      return [{ name: `${baseName}-ab.wav`, blob: WavEncoder.encode(channels, recording.sampleRate, format) }];
+    }
+
+    return [
+      { name: `${baseName}-dry.wav`, blob: WavEncoder.encode(recording.dry, recording.sampleRate, format) },
+      { name: `${baseName}-processed.wav`, blob: WavEncoder.encode(recording.processed, recording.sampleRate, format) },
+    ];
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    const initialized = this.recorderNode !== null;
+
+    this.disconnectTaps();
+
+    if (this.isRecording) {
+      this.processor.unlockLatency();
+    }
+
+    if (this.stopResolver) {
+      this.stopResolver();
+      this.stopResolver = null;
+    }
+
+    if (this.recorderNode) {
+      this.recorderNode.port.onmessage = null;
+      this.recorderNode.onprocessorerror = null;
+      this.recorderNode = null;
+    }
+
+    this.isRecording = false;
+    this.chunks = [];
+    this.limitedRecording = null;
+
+    if (initialized) {
+      this.emitStateChange();
+    }
+  }
+}
+
+// ES module / CommonJS consumers (see index.mjs); classic <script> pages use the global class
+globalThis.ABRecorder = ABRecorder;
+if (typeof module === 'object' && module.exports) {
+  module.exports = { ABRecorder };
+}
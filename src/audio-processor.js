@@ -1,64 +1,263 @@
+// Default user-facing parameters (dB / ms)
+const DEFAULT_NORMALIZER_PARAMETERS = {
+  threshold: -20,   // dB
+  attackTime: 15,   // ms
+  releaseTime: 80,  // ms
+  rmsWindow: 5,     // ms
+  detectorMode: 'rms', // 'rms' | 'peak' | 'truePeak'
+  gainMode: 'limit',  // 'limit' (hard ceiling) | 'compress' (ratio + soft knee)
+  ratio: 4,         // Compressor ratio (used in 'compress' mode)
+  kneeWidth: 6,     // dB - compressor soft knee width
+  lookaheadTime: 10, // ms - also the latency added by the limiter
+  channelMode: 'linked', // 'linked' (one gain for all channels) | 'unlinked' (per channel)
+
+  // Optional multiband mode - low/mid/high bands limited separately (tames shrill whistles)
+  multibandEnabled: false,
+  crossoverLow: 250,  // Hz - low/mid crossover
+  crossoverHigh: 3000, // Hz - mid/high crossover
+  lowBandOffset: 0, // dB - band thresholds relative to the threshold
+  midBandOffset: 0,
+  highBandOffset: -10,
+
+  // Optional upward normalization (AGC) - off by default, the limiter never boosts
+  agcEnabled: false,
+  agcTarget: -26,   // dB - speech level to raise quiet speakers towards
+  agcMaxBoost: 12,  // dB - maximum boost
+  agcTime: 1000,    // ms - gain riding speed
+  agcGate: -50,     // dB - input below this is treated as noise and never boosted
+
+  // Optional noise gate / downward expander - off by default, quiet input passes unchanged
+  gateEnabled: false,
+  gateOpenThreshold: -45, // dB - input level that opens the gate
+  gateCloseThreshold: -50, // dB - input must fall below this (for the hold time) to close it
+  gateHoldTime: 100, // ms
+  gateRange: 40,    // dB - attenuation while closed
+  gateRatio: 10,    // Expansion ratio below the open threshold (2 = gentle expander)
+  gateAttackTime: 2, // ms - opening
+  gateReleaseTime: 100, // ms - closing
+
+  // Mic-spam detection - sustained loudness above the threshold raises onSpam events
+  spamDetection: true,
+  spamSeverity: 6,  // dB above the threshold that counts as spamming
+  spamDuration: 1500, // ms of sustained loudness before flagging
+  spamHysteresis: 6, // dB below the trigger level needed to calm down
+  spamRecoveryTime: 3000, // ms of calm before the flag (and policy) is lifted
+  spamPolicy: 'none', // 'none' | 'duck' | 'mute' - applied while flagged
+  spamDuckAmount: 12, // dB - extra attenuation for the 'duck' policy
+
+  // Distortion ("earrape") detection - clipped, noise-like or bass-boosted input raises onDistortion events
+  distortionDetection: true,
+  distortionThreshold: 0.6, // Detection score (0..1) that flags the input
+  distortionAttenuation: 0, // dB - extra attenuation while flagged (0 = flag only, opt-in)
+};
+
+// Parameters given in milliseconds (the worklet works in seconds)
+const MILLISECOND_PARAMETERS = [
+  'attackTime', 'releaseTime', 'rmsWindow', 'lookaheadTime', 'agcTime', 'spamDuration', 'spamRecoveryTime',
+  'gateHoldTime', 'gateAttackTime', 'gateReleaseTime',
+];
+
+// Lookahead range accepted by the worklet (see lookaheadToSamples in limiter-dsp.js)
+const MIN_LOOKAHEAD_TIME = 1;   // ms
+const MAX_LOOKAHEAD_TIME = 50;  // ms
+
+// Accepted [min, max] of numeric parameters (dB / ms, the demo's slider ranges)
+// Values from presets and shared links are clamped to these (see PresetStore.sanitize)
+const NORMALIZER_PARAMETER_RANGES = {
+  threshold: [-60, 0],
+  attackTime: [1, 50],
+  releaseTime: [20, 500],
+  rmsWindow: [1, 20],
+  ratio: [1, 20],
+  kneeWidth: [0, 24],
+  lookaheadTime: [MIN_LOOKAHEAD_TIME, MAX_LOOKAHEAD_TIME],
+  crossoverLow: [60, 1000],
+  crossoverHigh: [1000, 8000],
+  lowBandOffset: [-24, 12],
+  midBandOffset: [-24, 12],
+  highBandOffset: [-24, 12],
+  agcTarget: [-40, -10],
+  agcMaxBoost: [0, 30],
+  agcTime: [200, 5000],
+  agcGate: [-80, -30],
+  gateOpenThreshold: [-80, -20],
+  gateCloseThreshold: [-80, -20],
+  gateHoldTime: [0, 1000],
+  gateRange: [3, 80],
+  gateRatio: [1.5, 20],
+  gateAttackTime: [0.5, 20],
+  gateReleaseTime: [20, 1000],
+  spamSeverity: [0, 20],
+  spamDuration: [250, 5000],
+  spamHysteresis: [0, 20],
+  spamRecoveryTime: [500, 10000],
+  spamDuckAmount: [3, 40],
+  distortionThreshold: [0.3, 0.95],
+  distortionAttenuation: [0, 24],
+};
+
+// Allowed values of the string parameters
+const NORMALIZER_PARAMETER_OPTIONS = {
+  detectorMode: ['rms', 'peak', 'truePeak'],
+  gainMode: ['limit', 'compress'],
+  channelMode: ['linked', 'unlinked'],
+  spamPolicy: ['none', 'duck', 'mute'],
+};
+
+const DEFAULT_METER_RATE = 60; // Hz - limiter metering reports
+const DEFAULT_CHANNEL_COUNT = 2; // Limiter node channels (mono input is upmixed)
+
+// Worklet modules (see WorkletLoader), loaded in order (the DSP modules must be loaded before the processor)
+const LIMITER_WORKLET_MODULES = ['dsp', 'loudness', 'limiter'];
+
 /**
  * AudioWorklet-based voice volume normalizer with lookahead limiting
  * Uses hard limiting without gain boost - runs at audio rate (48kHz)
+ * Quiet speech can optionally be raised by an opt-in AGC stage (agcEnabled)
+ * Background noise between words can optionally be gated (gateEnabled)
+ * Mic spammers (sustained loudness) are reported via onSpam and can be ducked or muted (spamPolicy)
+ * Distorted or bass-boosted input is reported via onDistortion and can be attenuated (distortionAttenuation)
+ *
+ * Events (CustomEvent, payload in event.detail) - dispatched alongside the on* callbacks:
+ * - 'statechange': { state: 'idle' | 'ready' | 'active', bypassed }
+ * - 'meter': limiter meter report (same object as onMeter)
+ * - 'spam' / 'distortion': same objects as onSpam / onDistortion
+ * - 'error': { error, phase: 'load' | 'create' | 'enable' | 'process' | 'parameters' }
  */
-class VoiceVolumeNormalizer {
-  constructor(threshold) {
+class VoiceVolumeNormalizer extends EventTarget {
+  constructor(threshold = DEFAULT_NORMALIZER_PARAMETERS.threshold) {
+    super();
+
     this.audioCtx = null;
+    this.initializing = null;           // Pending initialize() setup
     this.sourceNode = null;
     this.destinationNode = null;
     this.limiterNode = null;
+    this.streamDestination = null;
+
+    // Limiter parameters (dB / ms), e.g. this.threshold, this.attackTime
+    Object.assign(this, DEFAULT_NORMALIZER_PARAMETERS);
     this.threshold = threshold;
-    this.attackTime = 15; // ms
-    this.releaseTime = 80; // ms
-    this.rmsWindow = 5; // ms
+
     this.isActive = false;
     this.isWorkletLoaded = false;
+
+    // Limiter metering (real internal state reported by the worklet)
+    this.meterRate = DEFAULT_METER_RATE;
+    this.lastMeter = null;
+    this.onMeter = null;
+
+    // Mic-spam state; onSpam({ type: 'start' | 'end', time, levelDb, severityDb, duration, policy })
+    this.spamActive = false;
+    this.onSpam = null;
+
+    // Distortion state; onDistortion({ type: 'start' | 'end', time, score, peakScore, clipping, flatness, bass, duration })
+    this.distortionActive = false;
+    this.onDistortion = null;
+
+    // True bypass state (see setBypass) - not a preset parameter
+    this.bypassed = false;
+    this.bypassLoudnessMatch = false;
+
+    // Holders relying on a fixed latency (see lockLatency); lookahead changes are refused meanwhile
+    this.latencyLocks = 0;
   }
 
   /**
    * Initialize with an audio context and load the AudioWorklet module
+   * channelCount sets how many channels the limiter node processes
    */
-  async initialize(audioContext) {
+  async initialize(audioContext, { channelCount = DEFAULT_CHANNEL_COUNT } = {}) {
     if (this.audioCtx) return;
 
-    this.audioCtx = audioContext;
+    // Concurrent calls wait for the same setup
+    if (!this.initializing) {
+      this.initializing = this.createNode(audioContext, channelCount).finally(() => {
+        this.initializing = null;
+      });
+    }
+    await this.initializing;
+  }
 
+  /**
+   * Load the worklet and create the limiter node
+   * audioCtx is only set once this succeeded, so a failed initialize() can be retried
+   */
+  async createNode(audioContext, channelCount) {
     try {
-      await this.audioCtx.audioWorklet.addModule('src/limiter-worklet.js');
+      await WorkletLoader.load(audioContext, LIMITER_WORKLET_MODULES);
       this.isWorkletLoaded = true;
     } catch (error) {
-      console.error('[AudioWorklet] Failed to load limiter worklet:', error);
       this.isWorkletLoaded = false;
-      throw new Error('Failed to load AudioWorklet processor. Make sure you are running from a web server (not file://).');
+      throw this.reportError(
+        new Error('Failed to load AudioWorklet processor. Make sure you are running from a web server (not file://).', { cause: error }),
+        'load'
+      );
     }
 
+    this.audioCtx = audioContext;
     try {
       this.limiterNode = new AudioWorkletNode(this.audioCtx, 'limiter-processor', {
         numberOfInputs: 1,
         numberOfOutputs: 1,
-        outputChannelCount: [2],
+        channelCount: channelCount,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers',
+        outputChannelCount: [channelCount],
       });
 
+      this.limiterNode.port.onmessage = (event) => this.handleWorkletMessage(event.data);
+      this.limiterNode.onprocessorerror = () => {
+        this.reportError(new Error('Limiter processor stopped after an uncaught error'), 'process');
+      };
+      this.setMeterRate(this.meterRate);
+
       // Apply all stored parameters
-      this.updateParameters({
-        threshold: this.threshold,
-        attackTime: this.attackTime,
-        releaseTime: this.releaseTime,
-        rmsWindow: this.rmsWindow
-      });
+      this.updateParameters(this.getParameters());
+      this.setBypass(this.bypassed);
     } catch (error) {
-      console.error('[AudioWorklet] Failed to create limiter node:', error);
-      throw new Error('Failed to create AudioWorklet node.');
+      this.limiterNode = null;
+      this.audioCtx = null;
+      throw this.reportError(new Error('Failed to create AudioWorklet node.', { cause: error }), 'create');
     }
+
+    this.emitStateChange();
+  }
+
+  /**
+   * Lifecycle state: 'idle' (not initialized), 'ready' (initialized, not processing) or 'active'
+   */
+  get state() {
+    if (!this.limiterNode) return 'idle';
+    return this.isActive ? 'active' : 'ready';
+  }
+
+  /**
+   * Dispatch a CustomEvent carrying detail
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  emitStateChange() {
+    this.emit('statechange', { state: this.state, bypassed: this.bypassed });
+  }
+
+  /**
+   * Dispatch an 'error' event and return the error (for throwing)
+   */
+  reportError(error, phase) {
+    this.emit('error', { error, phase });
+    return error;
   }
 
   /**
    * Enable audio processing with specified source and destination nodes
+   * destinationNode may be null when the output is only used as a MediaStream (see getOutputStream)
    */
-  enable(sourceNode, destinationNode) {
+  enable(sourceNode = this.sourceNode, destinationNode = this.destinationNode) {
     if (!this.audioCtx || !this.isWorkletLoaded || !this.limiterNode) {
-      console.error('[AudioWorklet] Cannot enable: worklet not properly initialized');
+      this.reportError(new Error('Cannot enable: worklet not properly initialized'), 'enable');
       return;
     }
 
@@ -67,65 +266,141 @@ class VoiceVolumeNormalizer {
     this.sourceNode = sourceNode;
     this.destinationNode = destinationNode;
 
-    try {
-      this.sourceNode.disconnect(this.destinationNode);
-    } catch (e) {
-      // Ignore if already disconnected
-    }
+    this.getOutputNodes().forEach(node => {
+      try {
+        this.sourceNode.disconnect(node);
+      } catch (e) {
+        // Ignore if already disconnected
+      }
+      this.limiterNode.connect(node);
+    });
 
     this.sourceNode.connect(this.limiterNode);
-    this.limiterNode.connect(this.destinationNode);
 
     this.isActive = true;
+    this.emitStateChange();
   }
 
   /**
-   * Disable audio processing (bypass mode)
+   * Disable audio processing (disconnects the limiter; see setBypass for click-free A/B comparison)
    */
   disable() {
-    if (!this.audioCtx || !this.isActive || !this.sourceNode || !this.destinationNode) {
+    if (!this.audioCtx || !this.isActive || !this.sourceNode) {
       return;
     }
 
     try {
       this.sourceNode.disconnect(this.limiterNode);
       this.limiterNode.disconnect();
-    } catch (e) {
-      console.error('[AudioWorklet] Error disconnecting:', e);
+    } catch (error) {
+      this.reportError(new Error('Failed to disconnect the limiter', { cause: error }), 'disable');
     }
 
-    this.sourceNode.connect(this.destinationNode);
+    this.getOutputNodes().forEach(node => this.sourceNode.connect(node));
 
     this.isActive = false;
+    this.emitStateChange();
+  }
+
+  /**
+   * Nodes receiving the normalizer's output: the destination and the MediaStream output, if any
+   */
+  getOutputNodes() {
+    return [this.destinationNode, this.streamDestination].filter(Boolean);
+  }
+
+  /**
+   * Switch the input while running (e.g. to another microphone)
+   */
+  setSource(sourceNode) {
+    const previous = this.sourceNode;
+    this.sourceNode = sourceNode;
+    if (!previous || previous === sourceNode) return;
+
+    const targets = this.isActive ? [this.limiterNode] : this.getOutputNodes();
+    targets.forEach(node => {
+      try {
+        previous.disconnect(node);
+      } catch (e) {
+        // Ignore if the previous source is already gone
+      }
+      sourceNode.connect(node);
+    });
+  }
+
+  /**
+   * Switch the output while running; null stops direct output (the MediaStream output keeps running)
+   */
+  setDestination(destinationNode) {
+    const previous = this.destinationNode;
+    this.destinationNode = destinationNode;
+    if (!this.sourceNode || previous === destinationNode) return;
+
+    const from = this.isActive ? this.limiterNode : this.sourceNode;
+    if (previous) {
+      try {
+        from.disconnect(previous);
+      } catch (e) {
+        // Ignore if already disconnected
+      }
+    }
+    if (destinationNode) {
+      from.connect(destinationNode);
+    }
+  }
+
+  /**
+   * MediaStream carrying the normalizer's output (for WebRTC, MediaRecorder, ...)
+   * Created on first use after initialization; it follows bypass like the destination does
+   */
+  getOutputStream() {
+    if (!this.limiterNode) return null;
+
+    if (!this.streamDestination) {
+      this.streamDestination = new MediaStreamAudioDestinationNode(this.audioCtx, {
+        channelCount: this.limiterNode.channelCount,
+      });
+
+      const from = this.isActive ? this.limiterNode : this.sourceNode;
+      if (from) {
+        from.connect(this.streamDestination);
+      }
+    }
+
+    return this.streamDestination.stream;
   }
 
   /**
    * Update limiter parameters
    * Stores values immediately and applies to limiter node if initialized
    */
-  updateParameters({ threshold, attackTime, releaseTime, rmsWindow } = {}) {
+  updateParameters(updates = {}) {
     const params = {};
 
     // Always store values in instance variables
-    if (threshold !== undefined) {
-      this.threshold = threshold;
-      params.threshold = threshold;
-    }
+    Object.keys(DEFAULT_NORMALIZER_PARAMETERS).forEach(name => {
+      const value = updates[name];
+      if (value === undefined) return;
 
-    if (attackTime !== undefined) {
-      this.attackTime = attackTime;
-      params.attackTime = attackTime / 1000;
-    }
+      if (name === 'lookaheadTime' && this.latencyLocks > 0 && value !== this.lookaheadTime) {
+        this.reportError(new Error('The lookahead cannot change while the latency is locked (e.g. during an A/B recording)'), 'parameters');
+        return;
+      }
 
-    if (releaseTime !== undefined) {
-      this.releaseTime = releaseTime;
-      params.releaseTime = releaseTime / 1000;
-    }
+      this[name] = value;
+      const workletValue = MILLISECOND_PARAMETERS.includes(name) ? value / 1000 : value;
 
-    if (rmsWindow !== undefined) {
-      this.rmsWindow = rmsWindow;
-      params.rmsWindow = rmsWindow / 1000;
-    }
+      // Automatable settings go through their AudioParam; a direct update
+      // replaces any automation still scheduled on it
+      const audioParam = this.getAudioParam(name);
+      if (audioParam) {
+        const now = this.audioCtx.currentTime;
+        audioParam.cancelScheduledValues(now);
+        audioParam.setValueAtTime(workletValue, now);
+      } else {
+        params[name] = workletValue;
+      }
+    });
 
     // Apply to limiter node if it exists
     if (this.limiterNode && Object.keys(params).length > 0) {
@@ -136,22 +411,198 @@ class VoiceVolumeNormalizer {
     }
   }
 
+  /**
+   * AudioParam for an automatable limiter setting ('threshold', 'attackTime', 'releaseTime',
+   * 'ratio', 'kneeWidth'), or null before initialization. Values are in the worklet's units
+   * (dB / seconds), e.g.
+   * getAudioParam('threshold').linearRampToValueAtTime(-30, audioCtx.currentTime + 1)
+   * Automation is not reflected in getParameters(); lastMeter.threshold reports the applied value
+   */
+  getAudioParam(name) {
+    if (!this.limiterNode) return null;
+    return this.limiterNode.parameters.get(name) || null;
+  }
+
+  /**
+   * True bypass inside the limiter: crossfades to the unprocessed input, which runs through the same
+   * lookahead delay, so toggling is click-free and sample-aligned (the limiter keeps running)
+   * matchLoudness plays the bypassed signal at the processed loudness for fair A/B listening
+   */
+  setBypass(bypassed, { matchLoudness = this.bypassLoudnessMatch } = {}) {
+    const changed = bypassed !== this.bypassed;
+    this.bypassed = bypassed;
+    this.bypassLoudnessMatch = matchLoudness;
+
+    if (changed) {
+      this.emitStateChange();
+    }
+
+    if (this.limiterNode) {
+      this.limiterNode.port.postMessage({
+        type: 'updateParameters',
+        bypass: bypassed,
+        bypassLoudnessMatch: matchLoudness
+      });
+    }
+  }
+
+  /**
+   * Set how often the limiter reports its internal state (Hz, 0 = off)
+   */
+  setMeterRate(rate) {
+    this.meterRate = rate;
+
+    if (this.limiterNode) {
+      this.limiterNode.port.postMessage({
+        type: 'configureMetering',
+        rate: rate
+      });
+    }
+  }
+
+  /**
+   * Restart the integrated loudness / loudness range measurement
+   */
+  resetLoudness() {
+    if (this.limiterNode) {
+      this.limiterNode.port.postMessage({ type: 'resetLoudness' });
+    }
+  }
+
+  /**
+   * Handle messages posted by the limiter worklet
+   */
+  handleWorkletMessage(data) {
+    if (data.type === 'meter') {
+      this.lastMeter = data;
+      if (this.onMeter) {
+        this.onMeter(data);
+      }
+      this.emit('meter', data);
+    } else if (data.type === 'spam') {
+      this.spamActive = data.event === 'start';
+      const event = {
+        type: data.event,
+        time: data.time,
+        levelDb: data.levelDb,
+        severityDb: data.severityDb,
+        duration: data.duration,
+        policy: data.policy,
+      };
+      if (this.onSpam) {
+        this.onSpam(event);
+      }
+      this.emit('spam', event);
+    } else if (data.type === 'distortion') {
+      this.distortionActive = data.event === 'start';
+      const event = {
+        type: data.event,
+        time: data.time,
+        score: data.score,
+        peakScore: data.peakScore,
+        clipping: data.clipping,
+        flatness: data.flatness,
+        bass: data.bass,
+        duration: data.duration,
+      };
+      if (this.onDistortion) {
+        this.onDistortion(event);
+      }
+      this.emit('distortion', event);
+    }
+  }
+
+  /**
+   * Latency added by the limiter's lookahead delay, for A/V sync compensation
+   * Returns { samples, seconds }, or null if there is no sample rate yet
+   */
+  getLatency(sampleRate = this.audioCtx ? this.audioCtx.sampleRate : null) {
+    if (!sampleRate) return null;
+
+    // Same clamping and rounding as the worklet's delay lines
+    const lookahead = Math.max(MIN_LOOKAHEAD_TIME, Math.min(MAX_LOOKAHEAD_TIME, this.lookaheadTime));
+    const samples = Math.round(lookahead / 1000 * sampleRate);
+
+    return {
+      samples: samples,
+      seconds: samples / sampleRate
+    };
+  }
+
+  /**
+   * Keep the latency fixed (lookahead changes are refused) until unlockLatency is called
+   * Used by recorders that align the limiter's input and output by the latency
+   */
+  lockLatency() {
+    this.latencyLocks++;
+  }
+
+  unlockLatency() {
+    this.latencyLocks = Math.max(0, this.latencyLocks - 1);
+  }
+
+  /**
+   * Get the currently stored limiter parameters (dB / ms)
+   */
+  getParameters() {
+    const params = {};
+    Object.keys(DEFAULT_NORMALIZER_PARAMETERS).forEach(name => {
+      params[name] = this[name];
+    });
+    return params;
+  }
+
   /**
    * Clean up resources
    */
   destroy() {
+    const initialized = this.limiterNode !== null;
+
     if (this.isActive) {
       this.disable();
     }
 
     if (this.limiterNode) {
+      this.limiterNode.port.onmessage = null;
+      this.limiterNode.onprocessorerror = null;
       this.limiterNode.disconnect();
       this.limiterNode = null;
     }
 
+    if (this.streamDestination) {
+      if (this.sourceNode) {
+        try {
+          this.sourceNode.disconnect(this.streamDestination);
+        } catch (e) {
+          // Ignore if already disconnected
+        }
+      }
+      this.streamDestination = null;
+    }
+
+    this.lastMeter = null;
+    this.spamActive = false;
+    this.distortionActive = false;
+
     this.audioCtx = null;
     this.sourceNode = null;
     this.destinationNode = null;
     this.isWorkletLoaded = false;
+
+    if (initialized) {
+      this.emitStateChange();
+    }
   }
 }
+
+// ES module / CommonJS consumers (see index.mjs); classic <script> pages use the globals above
+globalThis.VoiceVolumeNormalizer = VoiceVolumeNormalizer;
+globalThis.DEFAULT_NORMALIZER_PARAMETERS = DEFAULT_NORMALIZER_PARAMETERS;
+globalThis.NORMALIZER_PARAMETER_RANGES = NORMALIZER_PARAMETER_RANGES;
+globalThis.NORMALIZER_PARAMETER_OPTIONS = NORMALIZER_PARAMETER_OPTIONS;
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    VoiceVolumeNormalizer, DEFAULT_NORMALIZER_PARAMETERS, MILLISECOND_PARAMETERS,
+    NORMALIZER_PARAMETER_RANGES, NORMALIZER_PARAMETER_OPTIONS,
+  };
+}
@@ -4,6 +4,167 @@
  */
 const ANALYSER_FFT_SIZE = 2048;
 const ANALYSER_SMOOTHING = 0.3;
+const BAND_TRACE_COLORS = ['#8e44ad', '#16a085', '#d35400']; // Low / mid / high band gain
+const SESSION_OVERLAY_COLORS = ['#2c3e50', '#c0392b', '#2980b9', '#27ae60', '#8e44ad', '#d35400'];
+
+// Chart history and rendering
+const CHART_HISTORY_POINTS = 216000;    // Points kept per trace (~1 hour at 60 fps), oldest dropped first
+const CHART_INITIAL_POINTS = 4096;      // Initial allocation per trace (doubled as the history grows)
+const CHART_LIVE_WINDOW = 30;           // seconds - scrolling window for live input
+const CHART_MAX_POINTS = 1000;          // Points drawn per trace; longer ranges are min/max decimated
+const CHART_REFRESH_INTERVAL = 50;      // ms - chart redraw interval (data is still collected every frame)
+const CHART_REFRESH_LOAD = 0.25;        // Max share of time spent redrawing (long zoomed-out ranges redraw less often)
+const CHART_ZOOM_STEP = 1.2;            // View range factor per mouse wheel step
+const CHART_MIN_VIEW = 0.5;             // seconds - narrowest zoomed-in view
+
+// Diagnostic recording
+const RECORDING_MAX_ROWS = 36000;       // Rows kept per recording (~10 minutes at 60 fps); longer recordings are decimated
+
+/**
+ * Bounded ring buffer of (time, value) points for one chart trace
+ * Times must be pushed in increasing order. Storage starts small and doubles as points arrive;
+ * once `capacity` points are held, the oldest points are overwritten.
+ */
+class TimeSeriesBuffer {
+  constructor(capacity = CHART_HISTORY_POINTS) {
+    const allocated = Math.min(capacity, CHART_INITIAL_POINTS);
+    this.times = new Float64Array(allocated);
+    this.values = new Float32Array(allocated);
+    this.capacity = capacity;
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Buffer holding exactly the given { x, y } points (e.g. a recorded session)
+   */
+  static fromPoints(points) {
+    const buffer = new TimeSeriesBuffer(Math.max(1, points.length));
+    points.forEach(point => buffer.push(point.x, point.y));
+    return buffer;
+  }
+
+  push(time, value) {
+    if (this.length === this.times.length && this.length < this.capacity) {
+      this.grow();
+    }
+
+    const size = this.times.length;
+    const index = (this.start + this.length) % size;
+    this.times[index] = time;
+    this.values[index] = value;
+
+    if (this.length < size) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % size;
+    }
+  }
+
+  /**
+   * Double the storage (up to capacity), unrolling the ring so the oldest point is first
+   */
+  grow() {
+    const size = Math.min(this.capacity, this.times.length * 2);
+    const times = new Float64Array(size);
+    const values = new Float32Array(size);
+
+    for (let i = 0; i < this.length; i++) {
+      times[i] = this.timeAt(i);
+      values[i] = this.valueAt(i);
+    }
+
+    this.times = times;
+    this.values = values;
+    this.start = 0;
+  }
+
+  /**
+   * Drop every point (storage shrinks back to its initial size)
+   */
+  clear() {
+    if (this.times.length > CHART_INITIAL_POINTS) {
+      this.times = new Float64Array(CHART_INITIAL_POINTS);
+      this.values = new Float32Array(CHART_INITIAL_POINTS);
+    }
+    this.start = 0;
+    this.length = 0;
+  }
+
+  timeAt(i) {
+    return this.times[(this.start + i) % this.times.length];
+  }
+
+  valueAt(i) {
+    return this.values[(this.start + i) % this.times.length];
+  }
+
+  get firstTime() {
+    return this.length > 0 ? this.timeAt(0) : null;
+  }
+
+  get lastTime() {
+    return this.length > 0 ? this.timeAt(this.length - 1) : null;
+  }
+
+  /**
+   * Index of the first point at or after `time`
+   */
+  lowerBound(time) {
+    let low = 0;
+    let high = this.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.timeAt(mid) < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Fill `target` with { x, y } points covering [min, max], at most ~maxPoints of them
+   * Longer ranges are split into buckets keeping each bucket's minimum and maximum (in time order),
+   * so peaks survive zooming out. One point beyond each edge keeps lines running to the border.
+   */
+  decimate(min, max, maxPoints, target) {
+    target.length = 0;
+    if (this.length === 0) return target;
+
+    const from = Math.max(0, this.lowerBound(min) - 1);
+    const to = Math.min(this.length, this.lowerBound(max) + 1);
+    const count = to - from;
+
+    if (count <= maxPoints) {
+      for (let i = from; i < to; i++) {
+        target.push({ x: this.timeAt(i), y: this.valueAt(i) });
+      }
+      return target;
+    }
+
+    const bucketSize = count / Math.floor(maxPoints / 2);
+    for (let bucketStart = from; bucketStart < to; bucketStart += bucketSize) {
+      const first = Math.floor(bucketStart);
+      const last = Math.min(to, Math.floor(bucketStart + bucketSize));
+      let minIndex = first;
+      let maxIndex = first;
+
+      for (let i = first + 1; i < last; i++) {
+        const value = this.valueAt(i);
+        if (value < this.valueAt(minIndex)) minIndex = i;
+        if (value > this.valueAt(maxIndex)) maxIndex = i;
+      }
+
+      [Math.min(minIndex, maxIndex), Math.max(minIndex, maxIndex)].forEach((index, n) => {
+        if (n === 1 && index === minIndex && index === maxIndex) return;
+        target.push({ x: this.timeAt(index), y: this.valueAt(index) });
+      });
+    }
+    return target;
+  }
+}
 
 class AudioVisualizer {
   constructor(processor, audioElement = null) {
@@ -13,20 +174,41 @@ class AudioVisualizer {
     this.onMetersUpdate = null;
     this.inputAnalyser = null;
     this.outputAnalyser = null;
+    this.tappedSource = null;
+
+    // Optional SpectrumView fed from the same analysers (see setSpectrumView)
+    this.spectrumView = null;
 
     this.isRecording = false;
     this.recordingData = [];
     this.recordingStartTime = null;
+    this.recordingStride = 1;           // Frames per recorded row (doubles each time RECORDING_MAX_ROWS is reached)
+    this.recordingFrame = 0;
 
     // Chart.js instance
     this.chart = null;
+    // Bounded history per trace; the chart only draws the visible (decimated) part
     this.chartData = {
-      inputData: [],
-      outputData: [],
-      thresholdData: []
+      inputData: new TimeSeriesBuffer(),
+      outputData: new TimeSeriesBuffer(),
+      thresholdData: new TimeSeriesBuffer(),
+      gainReductionData: new TimeSeriesBuffer(),
+      inputLoudnessData: new TimeSeriesBuffer(),
+      outputLoudnessData: new TimeSeriesBuffer(),
+      distortionData: new TimeSeriesBuffer(),
+      // Multiband low / mid / high gain (only filled in multiband mode)
+      bandGainData: [new TimeSeriesBuffer(), new TimeSeriesBuffer(), new TimeSeriesBuffer()]
     };
     this.chartStartTime = 0;
     this.audioDuration = null;
+    this.lastChartRefresh = 0;
+    this.chartRefreshCost = 0;          // ms taken by the last redraw
+
+    // Zoomed / panned time range ({ min, max } in seconds), or null to follow the input
+    this.view = null;
+
+    // Loaded DiagnosticSessions drawn over the live traces
+    this.overlaySessions = [];
 
     // Initialize chart immediately on construction
     this.initializeChart();
@@ -50,6 +232,7 @@ class AudioVisualizer {
 
     this.processor.sourceNode.connect(this.inputAnalyser);
     this.processor.limiterNode.connect(this.outputAnalyser);
+    this.tappedSource = this.processor.sourceNode;
   }
 
   /**
@@ -75,7 +258,8 @@ class AudioVisualizer {
         datasets: [
           {
             label: 'Input Level',
-            data: this.chartData.inputData,
+            data: [],
+            series: this.chartData.inputData,
             borderColor: '#3498db',
             backgroundColor: 'rgba(52, 152, 219, 0.1)',
             borderWidth: 2,
@@ -85,7 +269,8 @@ class AudioVisualizer {
           },
           {
             label: 'Output Level',
-            data: this.chartData.outputData,
+            data: [],
+            series: this.chartData.outputData,
             borderColor: '#e74c3c',
             backgroundColor: 'rgba(231, 76, 60, 0.1)',
             borderWidth: 2,
@@ -93,21 +278,78 @@ class AudioVisualizer {
             pointRadius: 0,
             fill: true
           },
+          {
+            label: 'Limiter Gain',
+            data: [],
+            series: this.chartData.gainReductionData,
+            borderColor: '#27ae60',
+            borderWidth: 1.5,
+            tension: 0.2,
+            pointRadius: 0,
+            fill: false
+          },
+          {
+            label: 'Input Loudness (M)',
+            data: [],
+            series: this.chartData.inputLoudnessData,
+            borderColor: '#1f618d',
+            borderWidth: 1.5,
+            borderDash: [2, 2],
+            tension: 0.4,
+            pointRadius: 0,
+            fill: false
+          },
+          {
+            label: 'Output Loudness (M)',
+            data: [],
+            series: this.chartData.outputLoudnessData,
+            borderColor: '#922b21',
+            borderWidth: 1.5,
+            borderDash: [2, 2],
+            tension: 0.4,
+            pointRadius: 0,
+            fill: false
+          },
           {
             label: 'Threshold',
-            data: this.chartData.thresholdData,
+            data: [],
+            series: this.chartData.thresholdData,
             borderColor: '#95a5a6',
             borderWidth: 2,
             borderDash: [5, 5],
             pointRadius: 0,
             fill: false
-          }
+          },
+          {
+            label: 'Distortion Score',
+            data: [],
+            series: this.chartData.distortionData,
+            borderColor: '#f39c12',
+            borderWidth: 1.5,
+            tension: 0.2,
+            pointRadius: 0,
+            fill: false,
+            yAxisID: 'score'
+          },
+          ...['Low', 'Mid', 'High'].map((band, index) => ({
+            label: `${band} Band Gain`,
+            data: [],
+            series: this.chartData.bandGainData[index],
+            borderColor: BAND_TRACE_COLORS[index],
+            borderWidth: 1,
+            tension: 0.2,
+            pointRadius: 0,
+            fill: false,
+            bandTrace: true
+          }))
         ]
       },
       options: {
         responsive: true,
         maintainAspectRatio: false,
         animation: false,
+        parsing: false,
+        normalized: true,
         scales: {
           x: {
             type: 'linear',
@@ -117,7 +359,7 @@ class AudioVisualizer {
               text: 'Time (s)'
             },
             min: 0,
-            max: this.audioDuration || 10,
+            max: this.audioDuration || CHART_LIVE_WINDOW,
             ticks: {
               maxTicksLimit: 10
             }
@@ -126,19 +368,39 @@ class AudioVisualizer {
             display: true,
             title: {
               display: true,
-              text: 'Level (dB)'
+              text: 'Level (dB / LUFS)'
             },
             min: -60,
             max: 0,
             ticks: {
               stepSize: 10
             }
+          },
+          score: {
+            position: 'right',
+            display: true,
+            title: {
+              display: true,
+              text: 'Distortion Score'
+            },
+            min: 0,
+            max: 1,
+            grid: {
+              drawOnChartArea: false
+            }
           }
         },
         plugins: {
           legend: {
             display: true,
-            position: 'top'
+            position: 'top',
+            labels: {
+              // Band traces only appear in the legend once multiband data arrives
+              filter: (item, data) => {
+                const dataset = data.datasets[item.datasetIndex];
+                return (!dataset.bandTrace && !dataset.sessionOverlay) || dataset.series.length > 0;
+              }
+            }
           },
           tooltip: {
             enabled: false
@@ -150,12 +412,133 @@ class AudioVisualizer {
         }
       }
     });
+
+    this.enableZoomPan(canvas);
+  }
+
+  /**
+   * Mouse wheel zooms the time axis around the cursor, dragging pans, double-click follows the input again
+   */
+  enableZoomPan(canvas) {
+    let dragStart = null;
+
+    canvas.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      const range = this.visibleRange();
+      const center = this.chart.scales.x.getValueForPixel(event.offsetX);
+      const factor = event.deltaY > 0 ? CHART_ZOOM_STEP : 1 / CHART_ZOOM_STEP;
+      const width = Math.max(CHART_MIN_VIEW, (range.max - range.min) * factor);
+      const position = (center - range.min) / (range.max - range.min);
+
+      this.setView(center - width * position, center + width * (1 - position));
+    }, { passive: false });
+
+    canvas.addEventListener('mousedown', (event) => {
+      dragStart = { pixel: event.offsetX, range: this.visibleRange() };
+    });
+
+    canvas.addEventListener('mousemove', (event) => {
+      if (!dragStart) return;
+      const scale = this.chart.scales.x;
+      const shift = scale.getValueForPixel(dragStart.pixel) - scale.getValueForPixel(event.offsetX);
+      this.setView(dragStart.range.min + shift, dragStart.range.max + shift);
+    });
+
+    window.addEventListener('mouseup', () => {
+      dragStart = null;
+    });
+
+    canvas.addEventListener('dblclick', () => this.resetView());
+  }
+
+  /**
+   * Show a fixed time range (seconds), clamped to the recorded history
+   */
+  setView(min, max) {
+    const bounds = this.historyRange();
+    const width = Math.min(max - min, bounds.max - bounds.min);
+    min = Math.max(bounds.min, Math.min(min, bounds.max - width));
+
+    this.view = { min: min, max: min + width };
+    this.refreshChart();
+  }
+
+  /**
+   * Go back to following the input (scrolling window for live input, whole file for playback)
+   */
+  resetView() {
+    this.view = null;
+    this.refreshChart();
+  }
+
+  /**
+   * Time range covered by the history, the audio file and the overlaid sessions
+   */
+  historyRange() {
+    const overlays = this.chart ? this.chart.data.datasets.filter(dataset => dataset.sessionOverlay) : [];
+    const traces = [this.chartData.inputData, ...overlays.map(dataset => dataset.series)];
+    let min = Infinity;
+    let max = Math.max(this.audioDuration || 0, CHART_MIN_VIEW);
+
+    traces.forEach(series => {
+      if (series.length === 0) return;
+      min = Math.min(min, series.firstTime);
+      max = Math.max(max, series.lastTime);
+    });
+
+    return { min: Number.isFinite(min) ? Math.min(min, 0) : 0, max: max };
+  }
+
+  /**
+   * Time range to draw: the zoomed view, the whole file / sessions, or the live scrolling window
+   */
+  visibleRange() {
+    if (this.view) return this.view;
+
+    const sessionDuration = Math.max(0, ...this.overlaySessions.map(session => session.duration));
+    if (this.audioDuration || sessionDuration > 0) {
+      return this.historyRange();
+    }
+
+    const latest = this.chartData.inputData.lastTime || 0;
+    return {
+      min: Math.max(0, latest - CHART_LIVE_WINDOW),
+      max: Math.max(latest, CHART_LIVE_WINDOW)
+    };
+  }
+
+  /**
+   * Redraw the visible range from the trace histories (decimated to CHART_MAX_POINTS per trace)
+   */
+  refreshChart() {
+    if (!this.chart) return;
+
+    const startedAt = performance.now();
+    const range = this.visibleRange();
+    this.chart.data.datasets.forEach(dataset => {
+      dataset.series.decimate(range.min, range.max, CHART_MAX_POINTS, dataset.data);
+    });
+
+    this.chart.options.scales.x.min = range.min;
+    this.chart.options.scales.x.max = range.max;
+    this.chart.update('none'); // Update without animation for performance
+    this.lastChartRefresh = performance.now();
+    this.chartRefreshCost = this.lastChartRefresh - startedAt;
+  }
+
+  /**
+   * Threshold the limiter is applying (follows AudioParam automation when metering is on)
+   */
+  currentThreshold() {
+    const meter = this.processor.lastMeter;
+    return meter ? meter.threshold : this.processor.threshold;
   }
 
   /**
    * Update chart data with new points
    */
-  updateChart(inputDb, outputDb) {
+  updateChart(inputDb, outputDb, gainReductionDb = 0, inputLufs = null, outputLufs = null, bandReductionDb = null,
+    distortionScore = null) {
     if (!this.chart) return;
 
     // Use audio element's current time if available, otherwise use elapsed time
@@ -163,12 +546,45 @@ class AudioVisualizer {
       ? this.audioElement.currentTime
       : (performance.now() - this.chartStartTime) / 1000;
 
-    // Add new data point (using x,y objects for linear scale)
-    this.chartData.inputData.push({ x: currentTime, y: inputDb });
-    this.chartData.outputData.push({ x: currentTime, y: outputDb });
-    this.chartData.thresholdData.push({ x: currentTime, y: this.processor.threshold });
+    // Seeking back in the file restarts the history (times must keep increasing);
+    // a paused file adds nothing new
+    const lastTime = this.chartData.inputData.lastTime;
+    if (lastTime !== null && currentTime < lastTime) {
+      this.clearChartData();
+    } else if (currentTime === lastTime) {
+      return;
+    }
+
+    // Add new data point to each trace's history
+    this.chartData.inputData.push(currentTime, inputDb);
+    this.chartData.outputData.push(currentTime, outputDb);
+    this.chartData.gainReductionData.push(currentTime, -gainReductionDb);
+    this.chartData.thresholdData.push(currentTime, this.currentThreshold());
 
-    this.chart.update('none'); // Update without animation for performance
+    // Loudness is undefined until the first 400ms block completes
+    if (Number.isFinite(inputLufs)) {
+      this.chartData.inputLoudnessData.push(currentTime, inputLufs);
+    }
+    if (Number.isFinite(outputLufs)) {
+      this.chartData.outputLoudnessData.push(currentTime, outputLufs);
+    }
+
+    if (Number.isFinite(distortionScore)) {
+      this.chartData.distortionData.push(currentTime, distortionScore);
+    }
+
+    // Per-band gain (multiband mode only)
+    if (bandReductionDb) {
+      bandReductionDb.forEach((reductionDb, band) => {
+        this.chartData.bandGainData[band].push(currentTime, -reductionDb);
+      });
+    }
+
+    // Collect every frame, redraw at a lower rate
+    const refreshInterval = Math.max(CHART_REFRESH_INTERVAL, this.chartRefreshCost / CHART_REFRESH_LOAD);
+    if (performance.now() - this.lastChartRefresh >= refreshInterval) {
+      this.refreshChart();
+    }
   }
 
   /**
@@ -210,13 +626,32 @@ class AudioVisualizer {
     const inputDb = 20 * Math.log10(inputRMS || 1e-5);
     const outputDb = 20 * Math.log10(outputRMS || 1e-5);
 
-    const totalReductionDb = inputDb - outputDb;
-    const totalReductionPercent = totalReductionDb > 0
-      ? (1 - Math.pow(10, -totalReductionDb / 20)) * 100
-      : 0;
+    // Gain reduction comes straight from the limiter when it reports metering,
+    // falling back to the analyser difference otherwise
+    const meter = this.processor.lastMeter;
+    const totalReductionDb = meter
+      ? meter.maxGainReductionDb
+      : Math.max(0, inputDb - outputDb);
+    const totalReductionPercent = (1 - Math.pow(10, -totalReductionDb / 20)) * 100;
+
+    if (this.spectrumView) {
+      this.spectrumView.update(this.inputAnalyser, this.outputAnalyser, totalReductionDb);
+    }
+
+    const inputLoudness = meter ? meter.inputLoudness : null;
+    const outputLoudness = meter ? meter.outputLoudness : null;
+    const bandReductionDb = meter ? meter.bandGainReductionDb : null;
 
     // Update chart
-    this.updateChart(inputDb, outputDb);
+    this.updateChart(
+      inputDb,
+      outputDb,
+      totalReductionDb,
+      inputLoudness ? inputLoudness.momentary : null,
+      outputLoudness ? outputLoudness.momentary : null,
+      bandReductionDb,
+      meter ? meter.distortionScore : null
+    );
 
     // Update stats display
     if (this.onMetersUpdate) {
@@ -226,26 +661,90 @@ class AudioVisualizer {
         outputDb: outputDb,
         outputPercent: this.dbToPercent(outputDb),
         reductionPercent: Math.max(0, totalReductionPercent),
+        agcGainDb: meter ? meter.agcGainDb : 0,
+        gateOpen: meter ? meter.gateOpen : true,
+        gateGainDb: meter ? meter.gateGainDb : 0,
+        distortionScore: meter ? meter.distortionScore : 0,
+        distortionActive: meter ? meter.distortionActive : false,
+        inputLoudness: inputLoudness,
+        outputLoudness: outputLoudness,
+        bandReductionDb: bandReductionDb,
       });
     }
 
-    // Recording
-    if (this.isRecording && this.recordingStartTime !== null) {
+    // Recording (every recordingStride-th frame)
+    if (this.isRecording && this.recordingStartTime !== null && this.recordingFrame++ % this.recordingStride === 0) {
+      this.limitRecording();
       const timestamp = performance.now() - this.recordingStartTime;
       this.recordingData.push({
         timestamp: timestamp.toFixed(2),
         inputDb: inputDb.toFixed(2),
         outputDb: outputDb.toFixed(2),
-        threshold: this.processor.threshold.toFixed(2),
+        threshold: this.currentThreshold().toFixed(2),
+        detectorMode: this.processor.detectorMode,
         reductionDb: totalReductionDb.toFixed(2),
         reductionPercent: totalReductionPercent.toFixed(2),
-        aboveThreshold: inputDb > this.processor.threshold,
+        limiterGain: meter ? meter.gain.toFixed(4) : '',
+        detectorDb: meter ? meter.detectorDb.toFixed(2) : '',
+        peakInputDb: meter ? meter.peakInputDb.toFixed(2) : '',
+        peakOutputDb: meter ? meter.peakOutputDb.toFixed(2) : '',
+        samplesAboveThreshold: meter ? meter.samplesAboveThreshold : '',
+        agcGainDb: meter ? meter.agcGainDb.toFixed(2) : '',
+        gateOpen: meter ? meter.gateOpen : '',
+        gateGainDb: meter ? meter.gateGainDb.toFixed(2) : '',
+        spamActive: meter ? meter.spamActive : '',
+        spamGainDb: meter ? meter.spamGainDb.toFixed(2) : '',
+        distortionScore: meter ? meter.distortionScore.toFixed(3) : '',
+        distortionActive: meter ? meter.distortionActive : '',
+        distortionGainDb: meter ? meter.distortionGainDb.toFixed(2) : '',
+        ...this.formatBands(bandReductionDb),
+        ...this.formatLoudness('input', inputLoudness),
+        ...this.formatLoudness('output', outputLoudness),
+        aboveThreshold: meter ? meter.samplesAboveThreshold > 0 : inputDb > this.currentThreshold(),
       });
     }
 
     this.animationId = requestAnimationFrame(() => this.updateMeters());
   }
 
+  /**
+   * Keep the recording under RECORDING_MAX_ROWS by halving its row rate when it fills up
+   * (every other row is dropped), so long recordings still cover the whole session
+   */
+  limitRecording() {
+    if (this.recordingData.length < RECORDING_MAX_ROWS) return;
+
+    this.recordingData = this.recordingData.filter((row, index) => index % 2 === 0);
+    this.recordingStride *= 2;
+  }
+
+  /**
+   * Flatten loudness values into CSV columns (e.g. inputMomentaryLufs)
+   */
+  formatLoudness(prefix, loudness) {
+    const format = (value) => loudness && Number.isFinite(value) ? value.toFixed(2) : '';
+
+    return {
+      [`${prefix}MomentaryLufs`]: format(loudness && loudness.momentary),
+      [`${prefix}ShortTermLufs`]: format(loudness && loudness.shortTerm),
+      [`${prefix}IntegratedLufs`]: format(loudness && loudness.integrated),
+      [`${prefix}LoudnessRange`]: format(loudness && loudness.range),
+    };
+  }
+
+  /**
+   * Flatten per-band gain reduction into CSV columns (e.g. highBandReductionDb)
+   */
+  formatBands(bandReductionDb) {
+    const format = (band) => bandReductionDb ? bandReductionDb[band].toFixed(2) : '';
+
+    return {
+      lowBandReductionDb: format(0),
+      midBandReductionDb: format(1),
+      highBandReductionDb: format(2),
+    };
+  }
+
   /**
    * Reconnect analyser taps after disable/enable
    */
@@ -253,8 +752,18 @@ class AudioVisualizer {
     if (!this.inputAnalyser || !this.processor.isActive) return;
 
     try {
+      // Move the input tap when the processor's source was switched
+      if (this.tappedSource && this.tappedSource !== this.processor.sourceNode) {
+        try {
+          this.tappedSource.disconnect(this.inputAnalyser);
+        } catch (e) {
+          // Ignore if the previous source is already gone
+        }
+      }
+
       this.processor.sourceNode.connect(this.inputAnalyser);
       this.processor.limiterNode.connect(this.outputAnalyser);
+      this.tappedSource = this.processor.sourceNode;
     } catch (e) {
       console.error('[Visualizer] Error reconnecting analysers:', e);
     }
@@ -262,12 +771,13 @@ class AudioVisualizer {
 
   /**
    * Start visualization loop
+   * Live time continues from the last charted point, so restarting keeps the history.
    */
   start() {
     if (this.animationId !== null) {
       cancelAnimationFrame(this.animationId);
     }
-    this.chartStartTime = performance.now();
+    this.chartStartTime = performance.now() - (this.chartData.inputData.lastTime || 0) * 1000;
     this.initialize();
     this.reconnectAnalysers();
     this.updateMeters();
@@ -299,49 +809,124 @@ class AudioVisualizer {
       });
     }
 
-    // Clear chart data in place (Chart.js holds references)
-    if (this.chart) {
-      this.chartData.inputData.length = 0;
-      this.chartData.outputData.length = 0;
-      this.chartData.thresholdData.length = 0;
-      this.chart.update();
+    this.clearChartData();
+    this.refreshChart();
+
+    if (this.spectrumView) {
+      this.spectrumView.clear();
     }
   }
 
   /**
-   * Update chart x-axis max when audio duration becomes available
+   * Draw a spectrogram and input/output spectrum from the analysers' frequency data (null to stop)
+   */
+  setSpectrumView(spectrumView) {
+    this.spectrumView = spectrumView;
+  }
+
+  /**
+   * Follow a different media element for the chart's time axis (null for live input)
+   */
+  setAudioElement(audioElement) {
+    this.audioElement = audioElement;
+    this.audioDuration = null;
+    this.view = null;
+
+    this.updateAudioDuration();
+    this.refreshChart();
+  }
+
+  /**
+   * Show the whole file once the audio duration becomes available
    */
   updateAudioDuration() {
     if (this.audioElement && !isNaN(this.audioElement.duration)) {
       this.audioDuration = this.audioElement.duration;
-      if (this.chart && this.chart.options.scales.x) {
-        this.chart.options.scales.x.max = this.audioDuration;
-        this.chart.update('none');
-      }
+      this.refreshChart();
     }
   }
 
+  /**
+   * Draw a recorded session over the chart (output level and limiter gain, on the same time axis)
+   */
+  addSessionOverlay(session) {
+    if (!this.chart) return;
+
+    const color = SESSION_OVERLAY_COLORS[this.overlaySessions.length % SESSION_OVERLAY_COLORS.length];
+    this.overlaySessions.push(session);
+
+    this.chart.data.datasets.push(
+      {
+        label: `${session.name} · Output`,
+        data: [],
+        series: TimeSeriesBuffer.fromPoints(session.series('outputDb')),
+        borderColor: color,
+        borderWidth: 1.5,
+        borderDash: [6, 3],
+        tension: 0.2,
+        pointRadius: 0,
+        fill: false,
+        sessionOverlay: true
+      },
+      {
+        label: `${session.name} · Gain`,
+        data: [],
+        series: TimeSeriesBuffer.fromPoints(session.series('reductionDb', -1)),
+        borderColor: color,
+        borderWidth: 1,
+        borderDash: [1, 2],
+        tension: 0.2,
+        pointRadius: 0,
+        fill: false,
+        sessionOverlay: true
+      }
+    );
+
+    this.refreshChart();
+  }
+
+  /**
+   * Remove all session overlays
+   */
+  clearSessionOverlays() {
+    this.overlaySessions = [];
+    if (!this.chart) return;
+
+    this.chart.data.datasets = this.chart.data.datasets.filter(dataset => !dataset.sessionOverlay);
+    this.view = null;
+    this.refreshChart();
+  }
+
+  /**
+   * Empty every live trace's history (session overlays are kept)
+   */
+  clearChartData() {
+    const { bandGainData, ...traces } = this.chartData;
+    [...Object.values(traces), ...bandGainData].forEach(series => series.clear());
+  }
+
   /**
    * Reset/clear chart data without stopping visualization
    * Works regardless of whether chart is initialized or audio is playing
    */
   resetChart() {
-    // Clear arrays in place (Chart.js holds references to these arrays)
-    this.chartData.inputData.length = 0;
-    this.chartData.outputData.length = 0;
-    this.chartData.thresholdData.length = 0;
-
-    // Update chart if it exists
-    if (this.chart) {
-      this.chart.update();
-    }
+    this.clearChartData();
+    this.view = null;
+
+    // Restart integrated loudness along with the chart
+    this.processor.resetLoudness();
+
+    this.refreshChart();
   }
 
   /**
    * Start recording diagnostic data
    */
   startRecording() {
+    this.processor.resetLoudness();
     this.recordingData = [];
+    this.recordingStride = 1;
+    this.recordingFrame = 0;
     this.recordingStartTime = performance.now();
     this.isRecording = true;
   }
@@ -379,8 +964,28 @@ class AudioVisualizer {
     });
 
     const csvContent = [csvHeader, ...csvRows].join('\n');
+    this.download(csvContent, 'text/csv', filename);
+  }
 
-    const blob = new Blob([csvContent], { type: 'text/csv' });
+  /**
+   * Export recording data with the current parameters as a JSON session (see DiagnosticSession)
+   */
+  exportSessionJson(filename = 'audio-session.json') {
+    const data = this.stopRecording();
+
+    if (data.length === 0) {
+      console.warn('[Diagnostics] No data to export');
+      return;
+    }
+
+    this.download(DiagnosticSession.serialize(data, this.processor.getParameters()), 'application/json', filename);
+  }
+
+  /**
+   * Save text content as a downloaded file
+   */
+  download(content, type, filename) {
+    const blob = new Blob([content], { type: type });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -0,0 +1,335 @@
+// Default user-facing ducking parameters (dB / ms)
+const DEFAULT_DUCKER_PARAMETERS = {
+  threshold: -40,   // dB - voice level that counts as speech
+  depth: 12,        // dB - how far the background is turned down under speech
+  attackTime: 50,   // ms - duck down
+  releaseTime: 500, // ms - come back up after speech (and the hold) ends
+  holdTime: 300,    // ms - stay ducked through short pauses between words
+};
+
+// Parameters given in milliseconds (the worklet works in seconds)
+const DUCKER_MILLISECOND_PARAMETERS = ['attackTime', 'releaseTime', 'holdTime'];
+
+const DEFAULT_DUCKER_METER_RATE = 30; // Hz - ducking gain reports
+const DEFAULT_DUCKER_CHANNEL_COUNT = 2; // Background channels (mono input is upmixed)
+const DUCKER_PROGRAM_INPUT = 0;       // Worklet input carrying the background audio
+const DUCKER_SIDECHAIN_INPUT = 1;     // Worklet input carrying the voice bus
+
+// Worklet modules (see WorkletLoader), loaded in order (the DSP core must be loaded before the processor)
+const DUCKER_WORKLET_MODULES = ['dsp', 'ducker'];
+
+/**
+ * Sidechain ducking of background audio (music / game audio) under speech
+ * The voice bus drives the detector and the gain is applied to the background bus.
+ *
+ * Architecture:
+ *   Program (background) → DuckerProcessor → Destination
+ *   Sidechain (voice bus) ↗ (analyzed only, not passed through)
+ *
+ * Any node can be the sidechain, e.g. a VoiceVolumeNormalizer's limiterNode or the
+ * busNode of a ParticipantNormalizerManager.
+ */
+class BackgroundDucker extends EventTarget {
+  constructor() {
+    super();
+
+    this.audioCtx = null;
+    this.initializing = null;           // Pending initialize() setup
+    this.programNode = null;
+    this.sidechainNode = null;
+    this.destinationNode = null;
+    this.duckerNode = null;
+
+    // Ducking parameters (dB / ms), e.g. this.depth, this.holdTime
+    Object.assign(this, DEFAULT_DUCKER_PARAMETERS);
+
+    this.isActive = false;
+    this.isWorkletLoaded = false;
+
+    // Ducking metering ({ gain, duckDb, maxDuckDb, sidechainDb, voiceActive, ... })
+    this.meterRate = DEFAULT_DUCKER_METER_RATE;
+    this.lastMeter = null;
+    this.onMeter = null;
+  }
+
+  /**
+   * Initialize with an audio context and load the AudioWorklet module
+   * channelCount sets how many background channels are processed
+   */
+  async initialize(audioContext, { channelCount = DEFAULT_DUCKER_CHANNEL_COUNT } = {}) {
+    if (this.audioCtx) return;
+
+    // Concurrent calls wait for the same setup
+    if (!this.initializing) {
+      this.initializing = this.createNode(audioContext, channelCount).finally(() => {
+        this.initializing = null;
+      });
+    }
+    await this.initializing;
+  }
+
+  /**
+   * Load the worklet and create the ducker node
+   * audioCtx is only set once this succeeded, so a failed initialize() can be retried
+   */
+  async createNode(audioContext, channelCount) {
+    try {
+      await WorkletLoader.load(audioContext, DUCKER_WORKLET_MODULES);
+      this.isWorkletLoaded = true;
+    } catch (error) {
+      this.isWorkletLoaded = false;
+      throw this.reportError(
+        new Error('Failed to load AudioWorklet processor. Make sure you are running from a web server (not file://).', { cause: error }),
+        'load'
+      );
+    }
+
+    this.audioCtx = audioContext;
+    try {
+      this.duckerNode = new AudioWorkletNode(this.audioCtx, 'ducker-processor', {
+        numberOfInputs: 2,
+        numberOfOutputs: 1,
+        channelCount: channelCount,
+        channelCountMode: 'explicit',
+        channelInterpretation: 'speakers',
+        outputChannelCount: [channelCount],
+      });
+
+      this.duckerNode.port.onmessage = (event) => this.handleWorkletMessage(event.data);
+      this.duckerNode.onprocessorerror = () => {
+        this.reportError(new Error('Ducker processor stopped after an uncaught error'), 'process');
+      };
+      this.setMeterRate(this.meterRate);
+
+      // Apply all stored parameters
+      this.updateParameters(this.getParameters());
+    } catch (error) {
+      this.duckerNode = null;
+      this.audioCtx = null;
+      throw this.reportError(new Error('Failed to create AudioWorklet node.', { cause: error }), 'create');
+    }
+
+    this.emitStateChange();
+  }
+
+  /**
+   * Lifecycle state: 'idle' (not initialized), 'ready' (initialized, not ducking) or 'active'
+   */
+  get state() {
+    if (!this.duckerNode) return 'idle';
+    return this.isActive ? 'active' : 'ready';
+  }
+
+  /**
+   * Dispatch a CustomEvent carrying detail
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  emitStateChange() {
+    this.emit('statechange', { state: this.state });
+  }
+
+  /**
+   * Dispatch an 'error' event and return the error (for throwing)
+   */
+  reportError(error, phase) {
+    this.emit('error', { error, phase });
+    return error;
+  }
+
+  /**
+   * Start ducking: program (background) → ducker → destination, driven by the sidechain (voice)
+   */
+  enable(programNode = this.programNode, sidechainNode = this.sidechainNode, destinationNode = this.destinationNode) {
+    if (!this.audioCtx || !this.isWorkletLoaded || !this.duckerNode) {
+      this.reportError(new Error('Cannot enable: ducker worklet not properly initialized'), 'enable');
+      return;
+    }
+
+    if (this.isActive) return;
+
+    this.programNode = programNode;
+    this.destinationNode = destinationNode;
+    this.setSidechain(sidechainNode);
+
+    if (this.destinationNode) {
+      try {
+        this.programNode.disconnect(this.destinationNode);
+      } catch (e) {
+        // Ignore if not connected directly
+      }
+      this.duckerNode.connect(this.destinationNode);
+    }
+
+    this.programNode.connect(this.duckerNode, 0, DUCKER_PROGRAM_INPUT);
+
+    this.isActive = true;
+    this.emitStateChange();
+  }
+
+  /**
+   * Stop ducking (the background plays at full level)
+   */
+  disable() {
+    if (!this.audioCtx || !this.isActive || !this.programNode) {
+      return;
+    }
+
+    try {
+      this.programNode.disconnect(this.duckerNode);
+      this.duckerNode.disconnect();
+    } catch (error) {
+      this.reportError(new Error('Failed to disconnect the ducker', { cause: error }), 'disable');
+    }
+
+    if (this.destinationNode) {
+      this.programNode.connect(this.destinationNode);
+    }
+
+    this.isActive = false;
+    this.emitStateChange();
+  }
+
+  /**
+   * Switch the background input while running
+   */
+  setProgram(programNode) {
+    const previous = this.programNode;
+    this.programNode = programNode;
+    if (!previous || previous === programNode) return;
+
+    const target = this.isActive ? this.duckerNode : this.destinationNode;
+    if (!target) return;
+
+    try {
+      previous.disconnect(target);
+    } catch (e) {
+      // Ignore if the previous program is already gone
+    }
+    if (this.isActive) {
+      programNode.connect(this.duckerNode, 0, DUCKER_PROGRAM_INPUT);
+    } else {
+      programNode.connect(target);
+    }
+  }
+
+  /**
+   * Switch the voice bus that drives the ducking (null = never duck)
+   */
+  setSidechain(sidechainNode) {
+    const previous = this.sidechainNode;
+    this.sidechainNode = sidechainNode;
+    if (!this.duckerNode) return;
+
+    if (previous && previous !== sidechainNode) {
+      try {
+        previous.disconnect(this.duckerNode);
+      } catch (e) {
+        // Ignore if already disconnected
+      }
+    }
+    if (sidechainNode && sidechainNode !== previous) {
+      sidechainNode.connect(this.duckerNode, 0, DUCKER_SIDECHAIN_INPUT);
+    }
+  }
+
+  /**
+   * Update ducking parameters
+   * Stores values immediately and applies to the ducker node if initialized
+   */
+  updateParameters(updates = {}) {
+    const params = {};
+
+    Object.keys(DEFAULT_DUCKER_PARAMETERS).forEach(name => {
+      const value = updates[name];
+      if (value === undefined) return;
+
+      this[name] = value;
+      params[name] = DUCKER_MILLISECOND_PARAMETERS.includes(name) ? value / 1000 : value;
+    });
+
+    if (this.duckerNode && Object.keys(params).length > 0) {
+      this.duckerNode.port.postMessage({
+        type: 'updateParameters',
+        ...params
+      });
+    }
+  }
+
+  /**
+   * Get current parameters
+   */
+  getParameters() {
+    const params = {};
+    Object.keys(DEFAULT_DUCKER_PARAMETERS).forEach(name => {
+      params[name] = this[name];
+    });
+    return params;
+  }
+
+  /**
+   * Set how often the ducker reports its gain (Hz, 0 = off)
+   */
+  setMeterRate(rate) {
+    this.meterRate = rate;
+
+    if (this.duckerNode) {
+      this.duckerNode.port.postMessage({
+        type: 'configureMetering',
+        rate: rate
+      });
+    }
+  }
+
+  /**
+   * Handle messages posted by the ducker worklet
+   */
+  handleWorkletMessage(data) {
+    if (data.type === 'meter') {
+      this.lastMeter = data;
+      if (this.onMeter) {
+        this.onMeter(data);
+      }
+      this.emit('meter', data);
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    const initialized = this.duckerNode !== null;
+
+    if (this.isActive) {
+      this.disable();
+    }
+
+    this.setSidechain(null);
+
+    if (this.duckerNode) {
+      this.duckerNode.port.onmessage = null;
+      this.duckerNode.onprocessorerror = null;
+      this.duckerNode.disconnect();
+      this.duckerNode = null;
+    }
+
+    this.lastMeter = null;
+    this.audioCtx = null;
+    this.programNode = null;
+    this.destinationNode = null;
+    this.isWorkletLoaded = false;
+
+    if (initialized) {
+      this.emitStateChange();
+    }
+  }
+}
+
+// ES module / CommonJS consumers (see index.mjs); classic <script> pages use the globals above
+globalThis.BackgroundDucker = BackgroundDucker;
+globalThis.DEFAULT_DUCKER_PARAMETERS = DEFAULT_DUCKER_PARAMETERS;
+if (typeof module === 'object' && module.exports) {
+  module.exports = { BackgroundDucker, DEFAULT_DUCKER_PARAMETERS };
+}
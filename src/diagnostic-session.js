@@ -0,0 +1,267 @@
+/**
+ * Recorded diagnostic sessions: CSV / JSON import, JSON export and comparison
+ * A session is the visualizer's recording (one row per UI frame) plus, for JSON,
+ * the parameters that were in effect, so two parameter sets can be compared offline.
+ */
+const SESSION_FORMAT = 'voice-volume-normalizer-session';
+const SESSION_FORMAT_VERSION = 1;
+const SESSION_SILENCE_DB = -60;          // Rows with quieter input are ignored in summaries
+const SESSION_LIMITED_DB = 0.5;          // Reduction above this counts as "limiting"
+
+class DiagnosticSession {
+  /**
+   * rows: [{ timestamp (ms), inputDb, outputDb, threshold, reductionDb, ... }] with numeric values
+   * parameters: user-facing parameters (dB / ms) or null when unknown (CSV)
+   */
+  constructor(name, rows, parameters = null) {
+    this.name = name;
+    this.rows = rows;
+    this.parameters = parameters;
+  }
+
+  /**
+   * Convert a recorded value (string from the recorder or CSV cell) to a number, boolean or null
+   */
+  static parseValue(value) {
+    if (value === '' || value === null || value === undefined) return null;
+    if (typeof value !== 'string') return value;
+    if (value === 'true' || value === 'false') return value === 'true';
+
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+
+  static normalizeRow(row) {
+    const clean = {};
+    Object.keys(row).forEach(name => {
+      clean[name] = DiagnosticSession.parseValue(row[name]);
+    });
+    return clean;
+  }
+
+  /**
+   * Split one CSV line, honouring double-quoted cells
+   */
+  static splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        cells.push(cell);
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    cells.push(cell);
+    return cells;
+  }
+
+  /**
+   * Parse a CSV written by AudioVisualizer.exportRecordingData
+   */
+  static fromCsv(text, name = 'session.csv') {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+      throw new Error(`${name}: empty file`);
+    }
+
+    const headers = DiagnosticSession.splitCsvLine(lines[0]);
+    if (!headers.includes('timestamp') || !headers.includes('outputDb')) {
+      throw new Error(`${name}: not a diagnostics CSV (missing timestamp / outputDb columns)`);
+    }
+
+    const rows = lines.slice(1).map(line => {
+      const cells = DiagnosticSession.splitCsvLine(line);
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = cells[index];
+      });
+      return DiagnosticSession.normalizeRow(row);
+    });
+
+    return new DiagnosticSession(name, rows);
+  }
+
+  /**
+   * Parse a JSON session written by DiagnosticSession.serialize
+   */
+  static fromJson(text, name = 'session.json') {
+    const data = JSON.parse(text);
+    if (!data || data.format !== SESSION_FORMAT || !Array.isArray(data.rows)) {
+      throw new Error(`${name}: not a diagnostics session file`);
+    }
+
+    const parameters = data.parameters && typeof data.parameters === 'object' ? data.parameters : null;
+    return new DiagnosticSession(name, data.rows.map(DiagnosticSession.normalizeRow), parameters);
+  }
+
+  /**
+   * Parse CSV or JSON, picked from the file name (or the content when the name has no extension)
+   */
+  static parse(text, name) {
+    const isJson = /\.json$/i.test(name) || (!/\.csv$/i.test(name) && text.trim().startsWith('{'));
+    return isJson ? DiagnosticSession.fromJson(text, name) : DiagnosticSession.fromCsv(text, name);
+  }
+
+  /**
+   * Load a File (from an <input type="file"> or a drop)
+   */
+  static async fromFile(file) {
+    return DiagnosticSession.parse(await file.text(), file.name);
+  }
+
+  /**
+   * JSON session export: recorded rows plus the parameters used
+   */
+  static serialize(rows, parameters = null, recordedAt = new Date()) {
+    return JSON.stringify({
+      format: SESSION_FORMAT,
+      version: SESSION_FORMAT_VERSION,
+      recordedAt: recordedAt.toISOString(),
+      parameters: parameters,
+      rows: rows.map(DiagnosticSession.normalizeRow),
+    });
+  }
+
+  /**
+   * Session length in seconds
+   */
+  get duration() {
+    return this.rows.length > 0 ? this.rows[this.rows.length - 1].timestamp / 1000 : 0;
+  }
+
+  /**
+   * Chart points { x: seconds, y } for a numeric column (rows without a value are skipped)
+   */
+  series(column, scale = 1) {
+    return this.rows
+      .filter(row => typeof row[column] === 'number')
+      .map(row => ({ x: row.timestamp / 1000, y: row[column] * scale }));
+  }
+
+  /**
+   * Summary statistics over the non-silent part of the session
+   * - maxOvershootDb: how far the output went above the threshold, in the detector's units:
+   *   the output level for the RMS detector, the output peak for 'peak' / 'truePeak'
+   * - averageReductionDb / maxReductionDb / limitingPercent: how hard the limiter worked
+   * - pumpingDbPerSecond: gain movement per second of speech, a rough "pumping" estimate
+   */
+  summarize() {
+    let activeRows = 0;
+    let activeTime = 0;
+    let limitedRows = 0;
+    let reductionSum = 0;
+    let maxReductionDb = 0;
+    let maxOvershootDb = 0;
+    let gainMovementDb = 0;
+    let previous = null;
+
+    this.rows.forEach(row => {
+      const active = typeof row.inputDb === 'number' && row.inputDb >= SESSION_SILENCE_DB;
+      const reductionDb = typeof row.reductionDb === 'number' ? row.reductionDb : 0;
+
+      if (active) {
+        activeRows++;
+        reductionSum += reductionDb;
+        maxReductionDb = Math.max(maxReductionDb, reductionDb);
+        if (reductionDb > SESSION_LIMITED_DB) {
+          limitedRows++;
+        }
+
+        const outputDb = this.limitedLevel(row);
+        if (typeof outputDb === 'number' && typeof row.threshold === 'number') {
+          maxOvershootDb = Math.max(maxOvershootDb, outputDb - row.threshold);
+        }
+
+        // Gain changes between consecutive speech rows only (not across silence)
+        if (previous) {
+          gainMovementDb += Math.abs(reductionDb - previous.reductionDb);
+          activeTime += (row.timestamp - previous.timestamp) / 1000;
+        }
+        previous = { reductionDb, timestamp: row.timestamp };
+      } else {
+        previous = null;
+      }
+    });
+
+    return {
+      name: this.name,
+      duration: this.duration,
+      rows: this.rows.length,
+      activePercent: this.rows.length > 0 ? (activeRows / this.rows.length) * 100 : 0,
+      maxOvershootDb: maxOvershootDb,
+      maxReductionDb: maxReductionDb,
+      averageReductionDb: activeRows > 0 ? reductionSum / activeRows : 0,
+      limitingPercent: activeRows > 0 ? (limitedRows / activeRows) * 100 : 0,
+      pumpingDbPerSecond: activeTime > 0 ? gainMovementDb / activeTime : 0,
+    };
+  }
+
+  /**
+   * The output value the threshold applies to: level (RMS detector) or peak (peak detectors)
+   * Rows without a detectorMode use the session's parameters, else the default RMS detector
+   */
+  limitedLevel(row) {
+    const detectorMode = row.detectorMode || (this.parameters && this.parameters.detectorMode) || 'rms';
+    if (detectorMode !== 'rms' && typeof row.peakOutputDb === 'number') {
+      return row.peakOutputDb;
+    }
+    return row.outputDb;
+  }
+
+  /**
+   * Compare sessions against the first one (the baseline)
+   * Returns the summaries, and for each later session the summary differences and changed parameters
+   */
+  static compare(sessions) {
+    const summaries = sessions.map(session => session.summarize());
+    const baseline = summaries[0];
+    const fields = ['maxOvershootDb', 'maxReductionDb', 'averageReductionDb', 'limitingPercent', 'pumpingDbPerSecond'];
+
+    const diffs = sessions.slice(1).map((session, index) => {
+      const summary = summaries[index + 1];
+      const diff = { name: session.name, baseline: baseline.name };
+      fields.forEach(field => {
+        diff[field] = summary[field] - baseline[field];
+      });
+      diff.changedParameters = DiagnosticSession.diffParameters(sessions[0].parameters, session.parameters);
+      return diff;
+    });
+
+    return { summaries, diffs };
+  }
+
+  /**
+   * Parameters that differ between two sessions ([] when either has none recorded)
+   */
+  static diffParameters(before, after) {
+    if (!before || !after) return [];
+
+    const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(names)
+      .filter(name => before[name] !== after[name])
+      .map(name => ({ name, before: before[name], after: after[name] }));
+  }
+}
+
+// ES module / CommonJS consumers; classic <script> pages use the global class
+globalThis.DiagnosticSession = DiagnosticSession;
+if (typeof module === 'object' && module.exports) {
+  module.exports = { DiagnosticSession };
+}
@@ -0,0 +1,54 @@
+// DSP core is loaded into the AudioWorkletGlobalScope first (see limiter-dsp.js)
+const { DuckerCore } = globalThis.LimiterDSP;
+
+// Default constants
+const DUCKER_METER_RATE = 30;            // Hz - metering reports sent to main thread (0 = off)
+
+/**
+ * AudioWorklet processor for sidechain ducking
+ *
+ * Architecture: Input 0 (program: music / game audio) → Gain → Output
+ *               Input 1 (sidechain: voice bus) → Level Detection → Hold → Attack/Release ↗
+ * The ducking math lives in DuckerCore (limiter-dsp.js); this class wires it to Web Audio.
+ */
+class DuckerProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+
+    this.core = new DuckerCore(sampleRate);
+    this.meterInterval = Math.floor(sampleRate / DUCKER_METER_RATE);
+
+    // Listen for parameter updates from main thread
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'configureMetering') {
+        const rate = event.data.rate;
+        this.meterInterval = rate > 0 ? Math.max(1, Math.floor(sampleRate / rate)) : 0;
+        this.core.resetMeter();
+      } else if (event.data.type === 'updateParameters') {
+        this.core.setParameters(event.data);
+      }
+    };
+  }
+
+  /**
+   * Main processing function - called for each 128-sample block
+   */
+  process(inputs, outputs) {
+    const program = inputs[0] || [];
+    const sidechain = inputs[1] || [];
+
+    this.core.process(program, sidechain, outputs[0]);
+
+    if (this.meterInterval > 0 && this.core.meterSamples >= this.meterInterval) {
+      this.port.postMessage({
+        type: 'meter',
+        time: currentTime,
+        ...this.core.takeMeterReport(),
+      });
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('ducker-processor', DuckerProcessor);
@@ -0,0 +1,609 @@
+/**
+ * Type declarations for the ES module entry point (index.mjs)
+ * Parameters are user-facing units (dB / ms) unless noted otherwise.
+ */
+
+export type DetectorMode = 'rms' | 'peak' | 'truePeak';
+export type GainMode = 'limit' | 'compress';
+export type ChannelMode = 'linked' | 'unlinked';
+export type SpamPolicy = 'none' | 'duck' | 'mute';
+
+export interface NormalizerParameters {
+  threshold: number;
+  attackTime: number;
+  releaseTime: number;
+  rmsWindow: number;
+  detectorMode: DetectorMode;
+  gainMode: GainMode;
+  ratio: number;
+  kneeWidth: number;
+  lookaheadTime: number;
+  channelMode: ChannelMode;
+
+  multibandEnabled: boolean;
+  crossoverLow: number;
+  crossoverHigh: number;
+  lowBandOffset: number;
+  midBandOffset: number;
+  highBandOffset: number;
+
+  agcEnabled: boolean;
+  agcTarget: number;
+  agcMaxBoost: number;
+  agcTime: number;
+  agcGate: number;
+
+  gateEnabled: boolean;
+  gateOpenThreshold: number;
+  gateCloseThreshold: number;
+  gateHoldTime: number;
+  gateRange: number;
+  gateRatio: number;
+  gateAttackTime: number;
+  gateReleaseTime: number;
+
+  spamDetection: boolean;
+  spamSeverity: number;
+  spamDuration: number;
+  spamHysteresis: number;
+  spamRecoveryTime: number;
+  spamPolicy: SpamPolicy;
+  spamDuckAmount: number;
+
+  distortionDetection: boolean;
+  distortionThreshold: number;
+  distortionAttenuation: number;
+}
+
+export declare const DEFAULT_NORMALIZER_PARAMETERS: Readonly<NormalizerParameters>;
+
+/** EBU R128 loudness in LUFS (-Infinity until measured), loudness range in LU */
+export interface LoudnessValues {
+  momentary: number;
+  shortTerm: number;
+  integrated: number;
+  range: number;
+}
+
+/** Limiter state reported by the worklet (meterRate times per second) */
+export interface LimiterMeter {
+  type: 'meter';
+  time: number;
+  threshold: number;
+  gain: number;
+  gainReductionDb: number;
+  maxGainReductionDb: number;
+  detectorDb: number;
+  peakInputDb: number;
+  peakOutputDb: number;
+  samplesAboveThreshold: number;
+  samplesProcessed: number;
+  agcGainDb: number;
+  voiceActive: boolean;
+  gateOpen: boolean;
+  gateGainDb: number;
+  spamActive: boolean;
+  spamGainDb: number;
+  distortionScore: number;
+  distortionActive: boolean;
+  distortionGainDb: number;
+  /** [low, mid, high], null when multiband is off */
+  bandGainReductionDb: [number, number, number] | null;
+  bypassed: boolean;
+  bypassMix: number;
+  loudnessMatchDb: number;
+  inputLoudness: LoudnessValues;
+  outputLoudness: LoudnessValues;
+}
+
+export interface SpamEvent {
+  type: 'start' | 'end';
+  time: number;
+  levelDb: number;
+  severityDb: number;
+  duration: number;
+  policy: SpamPolicy;
+}
+
+export interface DistortionEvent {
+  type: 'start' | 'end';
+  time: number;
+  score: number;
+  peakScore: number;
+  clipping: number;
+  flatness: number;
+  bass: number;
+  duration: number;
+}
+
+export type NormalizerState = 'idle' | 'ready' | 'active';
+
+export interface NormalizerStateChange {
+  state: NormalizerState;
+  bypassed: boolean;
+}
+
+export interface NormalizerError {
+  error: Error;
+  phase: 'load' | 'create' | 'enable' | 'disable' | 'process' | 'parameters';
+}
+
+export interface NormalizerEventMap {
+  statechange: CustomEvent<NormalizerStateChange>;
+  meter: CustomEvent<LimiterMeter>;
+  spam: CustomEvent<SpamEvent>;
+  distortion: CustomEvent<DistortionEvent>;
+  error: CustomEvent<NormalizerError>;
+}
+
+export interface Latency {
+  samples: number;
+  seconds: number;
+}
+
+/** Automatable limiter settings (see getAudioParam) */
+export type AutomatableParameter = 'threshold' | 'attackTime' | 'releaseTime' | 'ratio' | 'kneeWidth';
+
+export declare class VoiceVolumeNormalizer extends EventTarget implements NormalizerParameters {
+  constructor(threshold?: number);
+
+  audioCtx: BaseAudioContext | null;
+  sourceNode: AudioNode | null;
+  destinationNode: AudioNode | null;
+  limiterNode: AudioWorkletNode | null;
+  isActive: boolean;
+  isWorkletLoaded: boolean;
+  readonly state: NormalizerState;
+
+  meterRate: number;
+  lastMeter: LimiterMeter | null;
+  spamActive: boolean;
+  distortionActive: boolean;
+  bypassed: boolean;
+  bypassLoudnessMatch: boolean;
+  latencyLocks: number;
+
+  onMeter: ((meter: LimiterMeter) => void) | null;
+  onSpam: ((event: SpamEvent) => void) | null;
+  onDistortion: ((event: DistortionEvent) => void) | null;
+
+  threshold: number;
+  attackTime: number;
+  releaseTime: number;
+  rmsWindow: number;
+  detectorMode: DetectorMode;
+  gainMode: GainMode;
+  ratio: number;
+  kneeWidth: number;
+  lookaheadTime: number;
+  channelMode: ChannelMode;
+  multibandEnabled: boolean;
+  crossoverLow: number;
+  crossoverHigh: number;
+  lowBandOffset: number;
+  midBandOffset: number;
+  highBandOffset: number;
+  agcEnabled: boolean;
+  agcTarget: number;
+  agcMaxBoost: number;
+  agcTime: number;
+  agcGate: number;
+  gateEnabled: boolean;
+  gateOpenThreshold: number;
+  gateCloseThreshold: number;
+  gateHoldTime: number;
+  gateRange: number;
+  gateRatio: number;
+  gateAttackTime: number;
+  gateReleaseTime: number;
+  spamDetection: boolean;
+  spamSeverity: number;
+  spamDuration: number;
+  spamHysteresis: number;
+  spamRecoveryTime: number;
+  spamPolicy: SpamPolicy;
+  spamDuckAmount: number;
+  distortionDetection: boolean;
+  distortionThreshold: number;
+  distortionAttenuation: number;
+
+  initialize(audioContext: BaseAudioContext, options?: { channelCount?: number }): Promise<void>;
+  enable(sourceNode?: AudioNode, destinationNode?: AudioNode | null): void;
+  disable(): void;
+  setSource(sourceNode: AudioNode): void;
+  setDestination(destinationNode: AudioNode | null): void;
+  getOutputStream(): MediaStream | null;
+  updateParameters(updates?: Partial<NormalizerParameters>): void;
+  getParameters(): NormalizerParameters;
+  getAudioParam(name: AutomatableParameter): AudioParam | null;
+  setBypass(bypassed: boolean, options?: { matchLoudness?: boolean }): void;
+  setMeterRate(rate: number): void;
+  resetLoudness(): void;
+  getLatency(sampleRate?: number): Latency | null;
+  lockLatency(): void;
+  unlockLatency(): void;
+  destroy(): void;
+
+  addEventListener<K extends keyof NormalizerEventMap>(
+    type: K,
+    listener: (this: VoiceVolumeNormalizer, event: NormalizerEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  removeEventListener<K extends keyof NormalizerEventMap>(
+    type: K,
+    listener: (this: VoiceVolumeNormalizer, event: NormalizerEventMap[K]) => void,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | EventListenerOptions
+  ): void;
+}
+
+export type WorkletModuleName = 'dsp' | 'loudness' | 'limiter' | 'ducker' | 'recorder';
+
+/**
+ * A module URL, or the module's code to load from a Blob URL
+ * The code is not bundled with the library: pass the text of the module file yourself
+ * (e.g. `import limiter from './src/limiter-worklet.js?raw'`). Modules without an override
+ * still load from baseUrl, so inline every module you use to serve no worklet files at all.
+ */
+export type WorkletModuleSource = string | { source: string };
+
+export declare class WorkletLoader {
+  static baseUrl: string;
+  static modules: Partial<Record<WorkletModuleName, WorkletModuleSource>>;
+
+  static configure(options?: {
+    baseUrl?: string;
+    modules?: Partial<Record<WorkletModuleName, WorkletModuleSource>>;
+  }): void;
+  static resolve(name: WorkletModuleName): { url: string } | { source: string };
+  static load(audioContext: BaseAudioContext, names: WorkletModuleName[]): Promise<void>;
+  static isLoaded(audioContext: BaseAudioContext, name: WorkletModuleName): boolean;
+}
+
+export declare class ParticipantNormalizerManager {
+  constructor(options?: {
+    audioContext?: AudioContext | null;
+    destination?: AudioNode | null;
+    defaults?: Partial<NormalizerParameters>;
+  });
+
+  audioCtx: AudioContext | null;
+  busNode: GainNode | null;
+  defaults: NormalizerParameters;
+
+  onParticipantSpam: ((participantId: string, event: SpamEvent) => void) | null;
+  onParticipantDistortion: ((participantId: string, event: DistortionEvent) => void) | null;
+
+  initialize(): Promise<void>;
+  addParticipant(
+    participantId: string,
+    streamOrTrack: MediaStream | MediaStreamTrack,
+    overrides?: Partial<NormalizerParameters>
+  ): Promise<VoiceVolumeNormalizer | null>;
+  removeParticipant(participantId: string): void;
+  updateParameters(params?: Partial<NormalizerParameters>): void;
+  updateParticipantParameters(participantId: string, overrides?: Partial<NormalizerParameters>): void;
+  clearParticipantParameters(participantId: string): void;
+  getSpammingParticipantIds(): string[];
+  getDistortedParticipantIds(): string[];
+  getNormalizer(participantId: string): VoiceVolumeNormalizer | null;
+  getParticipantParameters(participantId: string): NormalizerParameters | null;
+  getParticipantIds(): string[];
+  /** Resolves once an owned audio context has closed; rejects if closing it failed */
+  destroy(): Promise<void>;
+}
+
+export interface DuckerParameters {
+  threshold: number;
+  depth: number;
+  attackTime: number;
+  releaseTime: number;
+  holdTime: number;
+}
+
+export declare const DEFAULT_DUCKER_PARAMETERS: Readonly<DuckerParameters>;
+
+export interface DuckerMeter {
+  type: 'meter';
+  time: number;
+  gain: number;
+  duckDb: number;
+  maxDuckDb: number;
+  sidechainDb: number;
+  voiceActive: boolean;
+  samplesProcessed: number;
+}
+
+export interface DuckerError {
+  error: Error;
+  phase: 'load' | 'create' | 'enable' | 'disable' | 'process';
+}
+
+export interface DuckerEventMap {
+  statechange: CustomEvent<{ state: NormalizerState }>;
+  meter: CustomEvent<DuckerMeter>;
+  error: CustomEvent<DuckerError>;
+}
+
+export declare class BackgroundDucker extends EventTarget implements DuckerParameters {
+  constructor();
+
+  audioCtx: BaseAudioContext | null;
+  programNode: AudioNode | null;
+  sidechainNode: AudioNode | null;
+  destinationNode: AudioNode | null;
+  duckerNode: AudioWorkletNode | null;
+  isActive: boolean;
+  isWorkletLoaded: boolean;
+  readonly state: NormalizerState;
+
+  threshold: number;
+  depth: number;
+  attackTime: number;
+  releaseTime: number;
+  holdTime: number;
+
+  meterRate: number;
+  lastMeter: DuckerMeter | null;
+  onMeter: ((meter: DuckerMeter) => void) | null;
+
+  initialize(audioContext: BaseAudioContext, options?: { channelCount?: number }): Promise<void>;
+  enable(programNode?: AudioNode, sidechainNode?: AudioNode | null, destinationNode?: AudioNode | null): void;
+  disable(): void;
+  setProgram(programNode: AudioNode): void;
+  setSidechain(sidechainNode: AudioNode | null): void;
+  updateParameters(updates?: Partial<DuckerParameters>): void;
+  getParameters(): DuckerParameters;
+  setMeterRate(rate: number): void;
+  destroy(): void;
+
+  addEventListener<K extends keyof DuckerEventMap>(
+    type: K,
+    listener: (this: BackgroundDucker, event: DuckerEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  removeEventListener<K extends keyof DuckerEventMap>(
+    type: K,
+    listener: (this: BackgroundDucker, event: DuckerEventMap[K]) => void,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | EventListenerOptions
+  ): void;
+}
+
+export interface RemoteAudioEventMap {
+  /**
+   * 'track': a remote track's normalizer failed to start (the track is dropped)
+   * 'destroy': the owned audio context failed to close (participantId is undefined)
+   */
+  error: CustomEvent<{ error: Error; phase: 'track' | 'destroy'; participantId?: string }>;
+}
+
+/** Receive-side WebRTC integration: normalizes every remote audio track of the attached peer connections */
+export declare class RemoteAudioNormalizer extends EventTarget {
+  constructor(options?: {
+    manager?: ParticipantNormalizerManager | null;
+    /** Maps a track event to a participant ID (default: the track ID) */
+    participantId?: ((event: RTCTrackEvent) => string) | null;
+    audioContext?: AudioContext | null;
+    destination?: AudioNode | null;
+    defaults?: Partial<NormalizerParameters>;
+  });
+
+  manager: ParticipantNormalizerManager;
+
+  onParticipantAdded: ((participantId: string, normalizer: VoiceVolumeNormalizer, track: MediaStreamTrack) => void) | null;
+  onParticipantRemoved: ((participantId: string) => void) | null;
+  onParticipantMuted: ((participantId: string, muted: boolean) => void) | null;
+
+  attach(peerConnection: RTCPeerConnection): void;
+  detach(peerConnection: RTCPeerConnection): void;
+  addTrack(
+    participantId: string,
+    track: MediaStreamTrack,
+    peerConnection?: RTCPeerConnection | null,
+    streams?: MediaStream[]
+  ): Promise<VoiceVolumeNormalizer | null>;
+  removeTrack(participantId: string): void;
+  isMuted(participantId: string): boolean;
+  destroy(): Promise<void>;
+
+  addEventListener<K extends keyof RemoteAudioEventMap>(
+    type: K,
+    listener: (this: RemoteAudioNormalizer, event: RemoteAudioEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  removeEventListener<K extends keyof RemoteAudioEventMap>(
+    type: K,
+    listener: (this: RemoteAudioNormalizer, event: RemoteAudioEventMap[K]) => void,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | EventListenerOptions
+  ): void;
+}
+
+export type WavFormat = 'int16' | 'int24' | 'float32';
+
+export declare class WavEncoder {
+  static encodeAudioBuffer(audioBuffer: AudioBuffer, format?: WavFormat): Blob;
+  static encode(channels: Float32Array[], sampleRate: number, format?: WavFormat): Blob;
+}
+
+/** Time-aligned capture: sample i of dry and processed is the same moment of the input */
+export interface ABRecording {
+  sampleRate: number;
+  duration: number;
+  latencySamples: number;
+  truncated: boolean;
+  dry: Float32Array[];
+  processed: Float32Array[];
+}
+
+export type ABLayout = 'stereo' | 'pair';
+
+export type RecorderState = 'idle' | 'ready' | 'recording';
+
+export interface RecorderError {
+  error: Error;
+  phase: 'load' | 'create' | 'process';
+}
+
+export interface RecorderEventMap {
+  statechange: CustomEvent<{ state: RecorderState }>;
+  /** maxDuration was reached: capture has stopped (state 'ready'), stop() still returns the audio once */
+  limit: CustomEvent<{ maxDuration: number }>;
+  error: CustomEvent<RecorderError>;
+}
+
+export declare class ABRecorder extends EventTarget {
+  constructor(processor: VoiceVolumeNormalizer, options?: { maxDuration?: number });
+
+  processor: VoiceVolumeNormalizer;
+  maxDuration: number;
+  recorderNode: AudioWorkletNode | null;
+  isRecording: boolean;
+  latencySamples: number;
+  truncated: boolean;
+  readonly state: RecorderState;
+
+  onLimitReached: (() => void) | null;
+
+  initialize(): Promise<void>;
+  reconnect(): void;
+  start(): Promise<void>;
+  stop(): Promise<ABRecording | null>;
+  destroy(): void;
+
+  static toWavFiles(
+    recording: ABRecording,
+    options?: { layout?: ABLayout; format?: WavFormat; baseName?: string }
+  ): { name: string; blob: Blob }[];
+
+  addEventListener<K extends keyof RecorderEventMap>(
+    type: K,
+    listener: (this: ABRecorder, event: RecorderEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  removeEventListener<K extends keyof RecorderEventMap>(
+    type: K,
+    listener: (this: ABRecorder, event: RecorderEventMap[K]) => void,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | EventListenerOptions
+  ): void;
+}
+
+/** Gain reduction applied to a file, from 10 ms input/output block levels (silent blocks ignored) */
+export interface ReductionSummary {
+  duration: number;
+  sampleRate: number;
+  channels: number;
+  inputPeakDb: number;
+  outputPeakDb: number;
+  maxReductionDb: number;
+  averageReductionDb: number;
+  limitedPercent: number;
+}
+
+export interface OfflineResult {
+  name: string;
+  outputName?: string;
+  wavBlob?: Blob;
+  summary?: ReductionSummary;
+  /** Set instead of the output when the file failed */
+  error?: Error;
+}
+
+export declare class OfflineBatchProcessor {
+  constructor(options?: { sampleRate?: number });
+
+  sampleRate: number;
+
+  decodeFile(file: Blob): Promise<AudioBuffer>;
+  renderBuffer(inputBuffer: AudioBuffer, params?: Partial<NormalizerParameters>): Promise<AudioBuffer>;
+  analyzeReduction(inputBuffer: AudioBuffer, outputBuffer: AudioBuffer): ReductionSummary;
+  processFile(file: File, params?: Partial<NormalizerParameters>, format?: WavFormat): Promise<OfflineResult>;
+  processBatch(
+    files: File[],
+    params?: Partial<NormalizerParameters>,
+    format?: WavFormat,
+    onProgress?: ((index: number, total: number, result: OfflineResult) => void) | null
+  ): Promise<OfflineResult[]>;
+}
+
+export interface MicrophoneEventMap {
+  /** 'devices': listing devices failed; 'switch': the default microphone could not be opened */
+  error: CustomEvent<{ error: Error; phase: 'devices' | 'switch' }>;
+}
+
+export declare class MicrophoneInput extends EventTarget {
+  constructor(audioContext: AudioContext);
+
+  audioCtx: AudioContext;
+  stream: MediaStream | null;
+  sourceNode: MediaStreamAudioSourceNode | null;
+  deviceId: string | null;
+  devices: MediaDeviceInfo[];
+
+  onDevicesChange: ((devices: MediaDeviceInfo[]) => void) | null;
+  onSourceChange: ((sourceNode: MediaStreamAudioSourceNode) => void) | null;
+
+  listDevices(): Promise<MediaDeviceInfo[]>;
+  open(deviceId?: string | null): Promise<MediaStreamAudioSourceNode>;
+  refreshDevices(): Promise<void>;
+  close(): void;
+
+  addEventListener<K extends keyof MicrophoneEventMap>(
+    type: K,
+    listener: (this: MicrophoneInput, event: MicrophoneEventMap[K]) => void,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  addEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | AddEventListenerOptions
+  ): void;
+  removeEventListener<K extends keyof MicrophoneEventMap>(
+    type: K,
+    listener: (this: MicrophoneInput, event: MicrophoneEventMap[K]) => void,
+    options?: boolean | EventListenerOptions
+  ): void;
+  removeEventListener(
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | EventListenerOptions
+  ): void;
+}
@@ -0,0 +1,46 @@
+/**
+ * ES module entry point: import { VoiceVolumeNormalizer } from './src/index.mjs'
+ * The library files are classic scripts that also publish their classes on globalThis;
+ * this module loads them and re-exports those classes. Worklet modules are resolved
+ * relative to this file, so they load wherever the library is served from
+ * (call WorkletLoader.configure to move them or to inline them).
+ */
+import './worklet-loader.js';
+import './audio-processor.js';
+import './participant-manager.js';
+import './background-ducker.js';
+import './webrtc-normalizer.js';
+import './wav-encoder.js';
+import './ab-recorder.js';
+import './offline-processor.js';
+import './microphone-input.js';
+
+const {
+  WorkletLoader,
+  VoiceVolumeNormalizer,
+  DEFAULT_NORMALIZER_PARAMETERS,
+  ParticipantNormalizerManager,
+  BackgroundDucker,
+  DEFAULT_DUCKER_PARAMETERS,
+  RemoteAudioNormalizer,
+  WavEncoder,
+  ABRecorder,
+  OfflineBatchProcessor,
+  MicrophoneInput,
+} = globalThis;
+
+WorkletLoader.configure({ baseUrl: new URL('./', import.meta.url).href });
+
+export {
+  WorkletLoader,
+  VoiceVolumeNormalizer,
+  DEFAULT_NORMALIZER_PARAMETERS,
+  ParticipantNormalizerManager,
+  BackgroundDucker,
+  DEFAULT_DUCKER_PARAMETERS,
+  RemoteAudioNormalizer,
+  WavEncoder,
+  ABRecorder,
+  OfflineBatchProcessor,
+  MicrophoneInput,
+};
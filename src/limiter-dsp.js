@@ -0,0 +1,2163 @@
+/**
+ * Framework-free DSP core for the lookahead limiter
+ * Pure sample-processing classes with no Web Audio dependencies, shared by:
+ * - limiter-worklet.js (AudioWorkletGlobalScope, loaded before the worklet via addModule)
+ * - the main page (classic <script>, exposed as window.LimiterDSP)
+ * - Node (require('./src/limiter-dsp.js')) for offline analysis and verification
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LimiterDSP = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  // Default constants
+  const DEFAULT_THRESHOLD = -20;           // dB threshold
+  const DEFAULT_ATTACK_TIME = 0.015;       // seconds (15ms) - smooth gain reduction
+  const DEFAULT_RELEASE_TIME = 0.08;       // seconds (80ms) - balanced recovery speed
+  const DEFAULT_RMS_WINDOW = 0.005;        // seconds (5ms) - fast level detection
+  const DEFAULT_LOOKAHEAD_TIME = 0.010;    // seconds (10ms) - anticipatory limiting
+  const MIN_LOOKAHEAD_TIME = 0.001;        // seconds - must cover the true-peak interpolator delay
+  const MAX_LOOKAHEAD_TIME = 0.05;         // seconds - delay line capacity
+  const LOOKAHEAD_CROSSFADE_TIME = 0.005;  // seconds - crossfade when the lookahead changes
+  const DEFAULT_INITIAL_GAIN = 1.0;        // Unity gain at start
+  const MIN_DB_VALUE = -100;               // Minimum dB for logarithmic calculations
+  const DEFAULT_DETECTOR_MODE = 'rms';     // 'rms' | 'peak' | 'truePeak'
+  const DETECTOR_MODES = ['rms', 'peak', 'truePeak'];
+  const DEFAULT_CHANNEL_MODE = 'linked';   // 'linked' | 'unlinked'
+  const CHANNEL_MODES = ['linked', 'unlinked'];
+  const DEFAULT_GAIN_MODE = 'limit';       // 'limit' (infinite ratio) | 'compress'
+  const GAIN_MODES = ['limit', 'compress'];
+  const DEFAULT_RATIO = 4;                 // Compressor ratio (input dB : output dB above threshold)
+  const DEFAULT_KNEE_WIDTH = 6;            // dB - soft knee width centered on the threshold
+
+  // ITU-R BS.1770-4 Annex 2 true-peak interpolation filter
+  // 48-tap FIR split into 4 polyphase branches (4x oversampling)
+  const TRUE_PEAK_PHASES = [
+    [0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000,
+      -0.0594482421875, 0.1373291015625, 0.9721679687500, -0.1022949218750,
+      0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500],
+    [-0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250,
+      -0.1665039062500, 0.4650878906250, 0.7797851562500, -0.2003173828125,
+      0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375],
+    [-0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000,
+      -0.2003173828125, 0.7797851562500, 0.4650878906250, -0.1665039062500,
+      0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875],
+    [-0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750,
+      -0.1022949218750, 0.9721679687500, 0.1373291015625, -0.0594482421875,
+      0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750],
+  ];
+  // Upward normalization (AGC) defaults - opt-in, disabled by default
+  const DEFAULT_AGC_TARGET = -26;          // dB - speech level to aim for
+  const DEFAULT_AGC_MAX_BOOST = 12;        // dB - never boost more than this
+  const DEFAULT_AGC_TIME = 1.0;            // seconds - slow gain riding while speaking
+  const DEFAULT_AGC_GATE = -50;            // dB - below this the input is treated as noise/silence
+  const AGC_DETECTOR_TIME = 0.02;          // seconds - voice activity level follower
+  const AGC_LEVEL_TIME = 0.4;              // seconds - speech level estimate (only while active)
+  const AGC_HOLD_TIME = 0.2;               // seconds - keep boost through short pauses between words
+  const AGC_FALL_TIME = 0.1;               // seconds - boost removal when speech stops or gets louder
+
+  // Noise gate / downward expander - opt-in, disabled by default
+  const DEFAULT_GATE_OPEN_THRESHOLD = -45;  // dB - input level that opens the gate
+  const DEFAULT_GATE_CLOSE_THRESHOLD = -50; // dB - input must fall below this before closing (hysteresis)
+  const DEFAULT_GATE_HOLD_TIME = 0.1;       // seconds - stay open through short pauses
+  const DEFAULT_GATE_RANGE = 40;            // dB - maximum attenuation while closed
+  const DEFAULT_GATE_RATIO = 10;            // Expansion below the open threshold (high = gate, 2 = gentle expander)
+  const DEFAULT_GATE_ATTACK_TIME = 0.002;   // seconds - opening
+  const DEFAULT_GATE_RELEASE_TIME = 0.1;    // seconds - closing
+  const GATE_DETECTOR_TIME = 0.005;         // seconds - input level follower
+
+  // Mic-spam detection - sustained loudness well above the threshold
+  const DEFAULT_SPAM_SEVERITY = 6;         // dB above the threshold that counts as spamming
+  const DEFAULT_SPAM_DURATION = 1.5;       // seconds of sustained loudness before flagging
+  const DEFAULT_SPAM_HYSTERESIS = 6;       // dB below the trigger level needed to calm down
+  const DEFAULT_SPAM_RECOVERY_TIME = 3.0;  // seconds of calm before the flag (and policy) is lifted
+  const DEFAULT_SPAM_POLICY = 'none';      // 'none' | 'duck' | 'mute'
+  const SPAM_POLICIES = ['none', 'duck', 'mute'];
+  const DEFAULT_SPAM_DUCK_AMOUNT = 12;     // dB - extra attenuation while ducking
+  const SPAM_LEVEL_TIME = 0.4;             // seconds - level averaging (like momentary loudness)
+  const SPAM_POLICY_ATTACK_TIME = 0.05;    // seconds - duck/mute fade-in
+  const SPAM_POLICY_RELEASE_TIME = 1.0;    // seconds - fade back after calming down
+
+  // Distortion ("earrape") detection - clipped or bass-boosted input that sits right at the threshold
+  const DEFAULT_DISTORTION_THRESHOLD = 0.6;  // Score (0..1) that flags the input as distorted
+  const DEFAULT_DISTORTION_ATTENUATION = 0;  // dB - extra attenuation while flagged (0 = flag only, opt-in)
+  const DISTORTION_HYSTERESIS = 0.2;         // Score drop needed to clear the flag
+  const DISTORTION_FRAME_SIZE = 1024;        // samples per analysis frame (power of two)
+  const DISTORTION_SCORE_TIME = 0.5;         // seconds - score smoothing
+  const DISTORTION_LEVEL_MARGIN = 12;        // dB below the threshold where analysis starts
+  const DISTORTION_CLIP_TOLERANCE = 1e-4;    // Relative distance below the frame peak that counts as "at the peak"
+  const DISTORTION_CLIP_RUN = 4;             // samples - shortest run held at the peak that counts as a flat top
+  const DISTORTION_CLIP_RANGE = [0.01, 0.1]; // Share of samples in flat tops: clean → hard clipped
+  const DISTORTION_FLATNESS_RANGE = [0.15, 0.45]; // Spectral flatness: harmonic speech → noise-like
+  const DISTORTION_BASS_FREQUENCY = 120;     // Hz - upper edge of the bass region
+  const DISTORTION_BASS_RANGE = [0.5, 0.85]; // Share of energy in the bass region: voice → bass-boosted
+  const DISTORTION_ATTACK_TIME = 0.1;        // seconds - attenuation fade-in
+  const DISTORTION_RELEASE_TIME = 1.0;       // seconds - fade back once the flag is cleared
+
+  // True bypass - the unprocessed input runs through its own delay line so both paths stay aligned
+  const BYPASS_CROSSFADE_TIME = 0.02;        // seconds - dry/processed crossfade when toggling bypass
+  const LOUDNESS_MATCH_TIME = 3;             // seconds - level averaging for loudness-matched bypass
+  const LOUDNESS_MATCH_GATE = -60;           // dB - quieter input frames are not averaged
+  const LOUDNESS_MATCH_RANGE = [-24, 12];    // dB - limits of the gain applied to the bypassed signal
+
+  // Sidechain ducking - background audio turned down while the voice bus is active
+  const DEFAULT_DUCK_THRESHOLD = -40;      // dB - sidechain level that counts as speech
+  const DEFAULT_DUCK_DEPTH = 12;           // dB - attenuation of the background while ducked
+  const DEFAULT_DUCK_ATTACK_TIME = 0.05;   // seconds - duck down
+  const DEFAULT_DUCK_RELEASE_TIME = 0.5;   // seconds - come back up
+  const DEFAULT_DUCK_HOLD_TIME = 0.3;      // seconds - stay ducked through pauses between words
+  const DUCK_DETECTOR_TIME = 0.01;         // seconds - sidechain level follower
+
+  // Multiband mode - low/mid/high bands limited separately before the broadband limiter
+  const DEFAULT_CROSSOVER_LOW = 250;       // Hz - low/mid split
+  const DEFAULT_CROSSOVER_HIGH = 3000;     // Hz - mid/high split (whistles and feedback squeal above)
+  const MIN_CROSSOVER_FREQUENCY = 40;      // Hz
+  const MAX_CROSSOVER_RATIO = 0.45;        // Highest crossover as a fraction of the sample rate
+  const MIN_CROSSOVER_SPACING = 2;         // High crossover at least one octave above the low one
+  const DEFAULT_BAND_OFFSETS = [0, 0, -10]; // dB - low/mid/high band thresholds relative to the threshold
+  const MULTIBAND_CROSSFADE_TIME = 0.02;   // seconds - broadband/multiband crossfade when switching modes
+  const BAND_NAMES = ['low', 'mid', 'high'];
+
+  const TRUE_PEAK_TAPS = 12;               // Taps per polyphase branch
+  const TRUE_PEAK_DELAY = 6;               // Interpolator group delay (input samples)
+
+  /**
+   * Convert a time constant to an exponential smoothing coefficient
+   * Coefficient = 1 - e^(-1 / (time * sampleRate))
+   */
+  function timeToCoefficient(time, sampleRate) {
+    return 1 - Math.exp(-1 / (time * sampleRate));
+  }
+
+  /**
+   * Convert a linear amplitude to dB (clamped to MIN_DB_VALUE)
+   */
+  function linearToDb(value) {
+    return value > 0 ? Math.max(MIN_DB_VALUE, 20 * Math.log10(value)) : MIN_DB_VALUE;
+  }
+
+  /**
+   * Convert dB to a linear amplitude
+   */
+  function dbToLinear(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  /**
+   * Convert a lookahead time to the delay in samples (the latency the limiter adds)
+   */
+  function lookaheadToSamples(lookaheadTime, sampleRate) {
+    const clamped = Math.max(MIN_LOOKAHEAD_TIME, Math.min(MAX_LOOKAHEAD_TIME, lookaheadTime));
+    return Math.round(clamped * sampleRate);
+  }
+
+  /**
+   * Hard-limit gain computer (infinite ratio)
+   * Returns the linear gain needed to bring a level down to the threshold, never boosting
+   */
+  function computeLimiterGain(db, threshold) {
+    if (db > threshold) {
+      return dbToLinear(threshold - db);
+    }
+    return DEFAULT_INITIAL_GAIN; // Unity gain when below threshold
+  }
+
+  /**
+   * Soft-knee compressor gain computer
+   * Above the knee the level rises 1 dB per `ratio` dB; inside the knee the curve blends quadratically
+   * With ratio = Infinity and kneeWidth = 0 this is the hard limiter above
+   */
+  function computeCompressorGain(db, threshold, ratio, kneeWidth) {
+    const overshoot = db - threshold;
+    const slope = 1 / ratio - 1;
+
+    if (kneeWidth > 0 && Math.abs(overshoot) <= kneeWidth / 2) {
+      const kneeOvershoot = overshoot + kneeWidth / 2;
+      return dbToLinear(slope * kneeOvershoot * kneeOvershoot / (2 * kneeWidth));
+    }
+    if (overshoot > 0) {
+      return dbToLinear(slope * overshoot);
+    }
+    return DEFAULT_INITIAL_GAIN;
+  }
+
+  /**
+   * Static gain curve for a parameter set ({ threshold, gainMode, ratio, kneeWidth })
+   * Shared by the limiter and the transfer-curve graph so both always agree
+   */
+  function computeStaticGain(db, { threshold, gainMode, ratio, kneeWidth }) {
+    return gainMode === 'compress'
+      ? computeCompressorGain(db, threshold, ratio, kneeWidth)
+      : computeLimiterGain(db, threshold);
+  }
+
+  /**
+   * RMS (Root Mean Square) detector using a sliding window
+   * Provides perceived loudness measurement more accurate than peak detection
+   */
+  class RmsDetector {
+    constructor(windowSize) {
+      this.resize(windowSize);
+    }
+
+    /**
+     * Change the window size (clears the window)
+     */
+    resize(windowSize) {
+      this.windowSize = Math.max(1, windowSize);
+      this.buffer = new Float32Array(this.windowSize);
+      this.index = 0;
+      this.sum = 0;
+    }
+
+    /**
+     * Push one sample and return the RMS over the window
+     */
+    process(sample) {
+      return this.processPower(sample * sample);
+    }
+
+    /**
+     * Push one frame of linked channels - the loudest channel drives the window
+     */
+    processFrame(frame, numChannels) {
+      let power = 0;
+      for (let ch = 0; ch < numChannels; ch++) {
+        power = Math.max(power, frame[ch] * frame[ch]);
+      }
+      return this.processPower(power);
+    }
+
+    /**
+     * Push one instantaneous power value and return the RMS over the window
+     */
+    processPower(power) {
+      // Remove oldest value from sum
+      this.sum -= this.buffer[this.index];
+
+      // Add new value to buffer and sum
+      this.buffer[this.index] = power;
+      this.sum += power;
+
+      // Move to next buffer position (circular buffer)
+      this.index = (this.index + 1) % this.windowSize;
+
+      // Calculate RMS (guard against tiny negative sums from float rounding)
+      return Math.sqrt(Math.max(0, this.sum) / this.windowSize);
+    }
+  }
+
+  /**
+   * Attack/release gain envelope (exponential moving average)
+   * Attack applies while gain is falling, release while it recovers
+   */
+  class GainEnvelope {
+    constructor(attackTime, releaseTime, sampleRate, initialGain = DEFAULT_INITIAL_GAIN) {
+      this.sampleRate = sampleRate;
+      this.gain = initialGain;
+      this.setAttackTime(attackTime);
+      this.setReleaseTime(releaseTime);
+    }
+
+    setAttackTime(attackTime) {
+      this.attackTime = attackTime;
+      this.attackCoeff = timeToCoefficient(attackTime, this.sampleRate);
+    }
+
+    setReleaseTime(releaseTime) {
+      this.releaseTime = releaseTime;
+      this.releaseCoeff = timeToCoefficient(releaseTime, this.sampleRate);
+    }
+
+    /**
+     * Move the gain one sample towards the target gain
+     * With instantAttack, reductions are followed immediately (the caller has already ramped them)
+     */
+    process(targetGain, instantAttack = false) {
+      if (targetGain < this.gain && instantAttack) {
+        this.gain = targetGain;
+      } else if (targetGain < this.gain) {
+        // Attack: fast gain reduction
+        this.gain += (targetGain - this.gain) * this.attackCoeff;
+      } else {
+        // Release: slow gain restoration
+        this.gain += (targetGain - this.gain) * this.releaseCoeff;
+      }
+      return this.gain;
+    }
+  }
+
+  /**
+   * Lookahead delay line (circular buffer sized for the maximum lookahead)
+   * The delay can be changed at runtime: output crossfades from the old read position
+   * to the new one so the jump in time does not click
+   */
+  class LookaheadDelay {
+    constructor(delay, crossfadeLength = 0, capacity = delay) {
+      this.buffer = new Float32Array(Math.max(delay, capacity) + 1);
+      this.writeIndex = 0;
+      this.delay = delay;
+      this.previousDelay = delay;
+      this.crossfadeLength = crossfadeLength;
+      this.crossfadePosition = crossfadeLength;
+    }
+
+    /**
+     * Change the delay (in samples), crossfading to the new read position
+     */
+    setDelay(delay) {
+      if (delay === this.delay) return;
+
+      // Grow the buffer (oldest sample first) if the new delay does not fit
+      if (delay + 1 > this.buffer.length) {
+        const length = this.buffer.length;
+        const grown = new Float32Array(delay + 1);
+        for (let i = 0; i < length; i++) {
+          grown[i] = this.buffer[(this.writeIndex + i) % length];
+        }
+        this.buffer = grown;
+        this.writeIndex = length;
+      }
+
+      this.previousDelay = this.delay;
+      this.delay = delay;
+      this.crossfadePosition = 0;
+    }
+
+    /**
+     * Read the sample written `delay` samples ago (0 = the current sample)
+     */
+    read(delay) {
+      const length = this.buffer.length;
+      return this.buffer[(this.writeIndex - delay + length) % length];
+    }
+
+    /**
+     * Write one sample and return the delayed sample
+     */
+    process(sample) {
+      this.buffer[this.writeIndex] = sample;
+
+      let output = this.read(this.delay);
+      if (this.crossfadePosition < this.crossfadeLength) {
+        const fade = this.crossfadePosition / this.crossfadeLength;
+        output = this.read(this.previousDelay) * (1 - fade) + output * fade;
+        this.crossfadePosition++;
+      }
+
+      // Advance circular buffer index
+      this.writeIndex = (this.writeIndex + 1) % this.buffer.length;
+      return output;
+    }
+  }
+
+  /**
+   * Sliding-window maximum (monotonic deque, O(1) amortized per sample)
+   */
+  class SlidingMax {
+    constructor(windowSize) {
+      this.windowSize = Math.max(1, windowSize);
+      this.values = new Float32Array(this.windowSize + 1);
+      this.positions = new Float64Array(this.windowSize + 1);
+      this.head = 0;
+      this.count = 0;
+      this.position = 0;
+    }
+
+    /**
+     * Push one value and return the maximum over the last windowSize values
+     */
+    process(value) {
+      const capacity = this.values.length;
+
+      // Drop smaller values from the back - they can never be the maximum again
+      while (this.count > 0) {
+        const back = (this.head + this.count - 1) % capacity;
+        if (this.values[back] > value) break;
+        this.count--;
+      }
+
+      const tail = (this.head + this.count) % capacity;
+      this.values[tail] = value;
+      this.positions[tail] = this.position;
+      this.count++;
+
+      // Drop the front value once it leaves the window
+      if (this.positions[this.head] <= this.position - this.windowSize) {
+        this.head = (this.head + 1) % capacity;
+        this.count--;
+      }
+
+      this.position++;
+      return this.values[this.head];
+    }
+  }
+
+  /**
+   * Sample-peak detector: maximum |sample| over a sliding window
+   * With a window equal to the lookahead, every sample still in the delay line is covered
+   */
+  class PeakDetector {
+    constructor(windowSize) {
+      this.window = new SlidingMax(windowSize);
+    }
+
+    process(sample) {
+      return this.window.process(Math.abs(sample));
+    }
+
+    /**
+     * Push one frame of linked channels - the loudest channel drives the window
+     */
+    processFrame(frame, numChannels) {
+      let peak = 0;
+      for (let ch = 0; ch < numChannels; ch++) {
+        peak = Math.max(peak, Math.abs(frame[ch]));
+      }
+      return this.window.process(peak);
+    }
+  }
+
+  /**
+   * 4x oversampling interpolator for one channel (ITU-R BS.1770 polyphase FIR)
+   * Output lags the input by TRUE_PEAK_DELAY samples (interpolator group delay)
+   */
+  class TruePeakInterpolator {
+    constructor() {
+      this.history = new Float32Array(TRUE_PEAK_TAPS);
+      this.historyIndex = 0;
+    }
+
+    /**
+     * Largest absolute value among the 4 interpolated phases for the newest input sample
+     */
+    process(sample) {
+      this.history[this.historyIndex] = sample;
+
+      let peak = 0;
+      for (let phase = 0; phase < TRUE_PEAK_PHASES.length; phase++) {
+        const coeffs = TRUE_PEAK_PHASES[phase];
+        let acc = 0;
+        let index = this.historyIndex;
+        for (let tap = 0; tap < TRUE_PEAK_TAPS; tap++) {
+          acc += coeffs[tap] * this.history[index];
+          index = index === 0 ? TRUE_PEAK_TAPS - 1 : index - 1;
+        }
+        peak = Math.max(peak, Math.abs(acc));
+      }
+
+      this.historyIndex = (this.historyIndex + 1) % TRUE_PEAK_TAPS;
+      return peak;
+    }
+  }
+
+  /**
+   * True-peak detector (ITU-R BS.1770 style)
+   * Upsamples each channel 4x to find intersample peaks, then holds the maximum
+   */
+  class TruePeakDetector {
+    constructor(windowSize) {
+      this.interpolators = [];
+      this.window = new SlidingMax(windowSize);
+    }
+
+    interpolator(channel) {
+      while (this.interpolators.length <= channel) {
+        this.interpolators.push(new TruePeakInterpolator());
+      }
+      return this.interpolators[channel];
+    }
+
+    process(sample) {
+      return this.window.process(this.interpolator(0).process(sample));
+    }
+
+    /**
+     * Push one frame of linked channels - the loudest interpolated channel drives the window
+     */
+    processFrame(frame, numChannels) {
+      let peak = 0;
+      for (let ch = 0; ch < numChannels; ch++) {
+        peak = Math.max(peak, this.interpolator(ch).process(frame[ch]));
+      }
+      return this.window.process(peak);
+    }
+  }
+
+  /**
+   * Moving average over a fixed window (boxcar filter)
+   * Used to ramp gain down across the lookahead so peaks are fully attenuated on arrival
+   */
+  class MovingAverage {
+    constructor(windowSize, initialValue = 0) {
+      this.windowSize = Math.max(1, windowSize);
+      this.buffer = new Float32Array(this.windowSize).fill(initialValue);
+      this.index = 0;
+      this.sum = initialValue * this.windowSize;
+    }
+
+    process(value) {
+      this.sum += value - this.buffer[this.index];
+      this.buffer[this.index] = value;
+      this.index = (this.index + 1) % this.windowSize;
+      return this.sum / this.windowSize;
+    }
+  }
+
+  /**
+   * Second-order IIR section (RBJ cookbook designs, direct form I)
+   */
+  class Biquad {
+    constructor(type, frequency, q, sampleRate) {
+      this.x1 = 0;
+      this.x2 = 0;
+      this.y1 = 0;
+      this.y2 = 0;
+      this.design(type, frequency, q, sampleRate);
+    }
+
+    /**
+     * Compute coefficients for 'lowpass' | 'highpass' | 'allpass' (filter state is kept)
+     */
+    design(type, frequency, q, sampleRate) {
+      const w0 = 2 * Math.PI * frequency / sampleRate;
+      const cos = Math.cos(w0);
+      const alpha = Math.sin(w0) / (2 * q);
+      const a0 = 1 + alpha;
+
+      if (type === 'lowpass') {
+        this.b0 = (1 - cos) / 2 / a0;
+        this.b1 = (1 - cos) / a0;
+        this.b2 = this.b0;
+      } else if (type === 'highpass') {
+        this.b0 = (1 + cos) / 2 / a0;
+        this.b1 = -(1 + cos) / a0;
+        this.b2 = this.b0;
+      } else {
+        this.b0 = (1 - alpha) / a0;
+        this.b1 = -2 * cos / a0;
+        this.b2 = 1;
+      }
+      this.a1 = -2 * cos / a0;
+      this.a2 = (1 - alpha) / a0;
+    }
+
+    process(x) {
+      const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+      this.x2 = this.x1;
+      this.x1 = x;
+      this.y2 = this.y1;
+      this.y1 = y;
+      return y;
+    }
+  }
+
+  /**
+   * 4th-order Linkwitz-Riley low- or high-pass (two cascaded Butterworth sections)
+   * LR4 low- and high-pass outputs at the same frequency sum to a flat (allpass) response
+   */
+  class LinkwitzRileyFilter {
+    constructor(type, frequency, sampleRate) {
+      this.type = type;
+      this.sampleRate = sampleRate;
+      this.stages = [
+        new Biquad(type, frequency, Math.SQRT1_2, sampleRate),
+        new Biquad(type, frequency, Math.SQRT1_2, sampleRate),
+      ];
+    }
+
+    setFrequency(frequency) {
+      this.stages.forEach(stage => stage.design(this.type, frequency, Math.SQRT1_2, this.sampleRate));
+    }
+
+    process(x) {
+      return this.stages[1].process(this.stages[0].process(x));
+    }
+  }
+
+  /**
+   * Three-band LR4 crossover for one channel
+   *   low  = allpass(high)(lowpass(low)(x))
+   *   mid  = lowpass(high)(highpass(low)(x))
+   *   high = highpass(high)(highpass(low)(x))
+   * The allpass gives the low band the same phase shift as the mid/high split,
+   * so low + mid + high has a flat magnitude response
+   */
+  class ThreeBandCrossover {
+    constructor(lowFrequency, highFrequency, sampleRate) {
+      this.sampleRate = sampleRate;
+      this.lowpassLow = new LinkwitzRileyFilter('lowpass', lowFrequency, sampleRate);
+      this.highpassLow = new LinkwitzRileyFilter('highpass', lowFrequency, sampleRate);
+      this.lowpassHigh = new LinkwitzRileyFilter('lowpass', highFrequency, sampleRate);
+      this.highpassHigh = new LinkwitzRileyFilter('highpass', highFrequency, sampleRate);
+      this.allpassHigh = new Biquad('allpass', highFrequency, Math.SQRT1_2, sampleRate);
+    }
+
+    setFrequencies(lowFrequency, highFrequency) {
+      this.lowpassLow.setFrequency(lowFrequency);
+      this.highpassLow.setFrequency(lowFrequency);
+      this.lowpassHigh.setFrequency(highFrequency);
+      this.highpassHigh.setFrequency(highFrequency);
+      this.allpassHigh.design('allpass', highFrequency, Math.SQRT1_2, this.sampleRate);
+    }
+
+    /**
+     * Split one sample into bands[0..2] (low, mid, high)
+     */
+    process(x, bands) {
+      const upper = this.highpassLow.process(x);
+      bands[0] = this.allpassHigh.process(this.lowpassLow.process(x));
+      bands[1] = this.lowpassHigh.process(upper);
+      bands[2] = this.highpassHigh.process(upper);
+    }
+  }
+
+  /**
+   * Upward normalization (automatic gain control) with a voice-activity gate
+   * Slowly raises quiet speech towards a target level, capped at a maximum boost.
+   * Boost is only applied while the input is above the gate; during silence and
+   * background noise it falls back to unity so noise is never amplified.
+   * Never cuts - loud input is left to the limiter that follows.
+   */
+  class AutoGainStage {
+    constructor(sampleRate) {
+      this.sampleRate = sampleRate;
+      this.targetLevel = DEFAULT_AGC_TARGET;
+      this.maxBoost = DEFAULT_AGC_MAX_BOOST;
+      this.gateThreshold = DEFAULT_AGC_GATE;
+      this.setRideTime(DEFAULT_AGC_TIME);
+
+      this.detectorCoeff = timeToCoefficient(AGC_DETECTOR_TIME, sampleRate);
+      this.levelCoeff = timeToCoefficient(AGC_LEVEL_TIME, sampleRate);
+      this.fallCoeff = timeToCoefficient(AGC_FALL_TIME, sampleRate);
+      this.holdSamples = Math.floor(AGC_HOLD_TIME * sampleRate);
+
+      this.reset();
+    }
+
+    setRideTime(rideTime) {
+      this.rideTime = rideTime;
+      this.rideCoeff = timeToCoefficient(rideTime, this.sampleRate);
+    }
+
+    /**
+     * Return to unity gain and forget the speech level estimate
+     */
+    reset() {
+      this.detectorPower = 0;
+      this.speechPower = dbToLinear(this.targetLevel * 2);
+      this.holdCounter = 0;
+      this.voiceActive = false;
+      this.boostDb = 0;
+      this.gain = 1.0;
+    }
+
+    /**
+     * Update the stage for one input sample and return the linear gain to apply
+     */
+    process(sample) {
+      const power = sample * sample;
+
+      // Voice activity: fast level follower compared against the gate, with hold
+      this.detectorPower += (power - this.detectorPower) * this.detectorCoeff;
+      if (10 * Math.log10(this.detectorPower + 1e-12) > this.gateThreshold) {
+        this.voiceActive = true;
+        this.holdCounter = this.holdSamples;
+      } else if (this.holdCounter > 0) {
+        this.holdCounter--;
+      } else {
+        this.voiceActive = false;
+      }
+
+      // Speech level is only learned while someone is talking
+      let desiredBoostDb = 0;
+      if (this.voiceActive) {
+        this.speechPower += (power - this.speechPower) * this.levelCoeff;
+        const speechDb = 10 * Math.log10(this.speechPower + 1e-12);
+        desiredBoostDb = Math.max(0, Math.min(this.maxBoost, this.targetLevel - speechDb));
+      }
+
+      // Ride gain up slowly; pull it back quickly when speech stops or gets louder
+      const coeff = desiredBoostDb > this.boostDb ? this.rideCoeff : this.fallCoeff;
+      this.boostDb += (desiredBoostDb - this.boostDb) * coeff;
+      this.gain = dbToLinear(this.boostDb);
+
+      return this.gain;
+    }
+  }
+
+  /**
+   * Map a value onto 0..1 between two reference points (the range may be descending)
+   */
+  function scoreRange(value, [low, high]) {
+    return Math.max(0, Math.min(1, (value - low) / (high - low)));
+  }
+
+  /**
+   * In-place radix-2 complex FFT (size must be a power of two)
+   */
+  class FFT {
+    constructor(size) {
+      this.size = size;
+      this.real = new Float64Array(size);
+      this.imag = new Float64Array(size);
+      this.cos = new Float64Array(size / 2);
+      this.sin = new Float64Array(size / 2);
+      for (let i = 0; i < size / 2; i++) {
+        this.cos[i] = Math.cos(2 * Math.PI * i / size);
+        this.sin[i] = -Math.sin(2 * Math.PI * i / size);
+      }
+
+      // Bit-reversal permutation
+      const bits = Math.round(Math.log2(size));
+      this.reverse = new Uint32Array(size);
+      for (let i = 0; i < size; i++) {
+        let reversed = 0;
+        for (let bit = 0; bit < bits; bit++) {
+          reversed = (reversed << 1) | ((i >> bit) & 1);
+        }
+        this.reverse[i] = reversed;
+      }
+    }
+
+    /**
+     * Forward transform of this.real / this.imag
+     */
+    transform() {
+      const { size, real, imag } = this;
+
+      for (let i = 0; i < size; i++) {
+        const j = this.reverse[i];
+        if (j > i) {
+          let t = real[i]; real[i] = real[j]; real[j] = t;
+          t = imag[i]; imag[i] = imag[j]; imag[j] = t;
+        }
+      }
+
+      for (let half = 1; half < size; half *= 2) {
+        const step = size / (2 * half);
+        for (let start = 0; start < size; start += 2 * half) {
+          for (let k = 0; k < half; k++) {
+            const wr = this.cos[k * step];
+            const wi = this.sin[k * step];
+            const a = start + k;
+            const b = a + half;
+            const tr = real[b] * wr - imag[b] * wi;
+            const ti = real[b] * wi + imag[b] * wr;
+            real[b] = real[a] - tr;
+            imag[b] = imag[a] - ti;
+            real[a] += tr;
+            imag[a] += ti;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Distortion ("earrape") detector for input that is painful without being loud:
+   * - clipping: flat tops, i.e. runs of DISTORTION_CLIP_RUN or more samples held at the frame peak
+   *   (a clean tone only touches its peak for a sample or two, whatever its crest factor)
+   * - spectral flatness: harmonics smeared into a noise-like spectrum
+   * - bass: most of the energy below DISTORTION_BASS_FREQUENCY
+   * Each frame scores the worst of the three (0..1), smoothed over DISTORTION_SCORE_TIME, so
+   * short fricatives and plosives do not count.
+   * Frames well below the threshold are ignored, so quiet noise never counts.
+   */
+  class DistortionDetector {
+    constructor(sampleRate, frameSize = DISTORTION_FRAME_SIZE) {
+      this.sampleRate = sampleRate;
+      this.frameSize = frameSize;
+      this.threshold = DEFAULT_DISTORTION_THRESHOLD;
+      this.buffer = new Float32Array(frameSize);
+      this.fft = new FFT(frameSize);
+      this.window = new Float32Array(frameSize);
+      for (let i = 0; i < frameSize; i++) {
+        this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (frameSize - 1));
+      }
+      // Bins centred below DISTORTION_BASS_FREQUENCY (bin 0, DC, is skipped)
+      this.bassBins = Math.max(2, Math.floor(DISTORTION_BASS_FREQUENCY * frameSize / sampleRate) + 1);
+      this.scoreCoeff = timeToCoefficient(DISTORTION_SCORE_TIME, sampleRate / frameSize);
+      this.reset();
+    }
+
+    reset() {
+      this.position = 0;
+      this.score = 0;
+      this.clipping = 0;
+      this.flatness = 0;
+      this.bass = 0;
+      this.peakScore = 0;
+      this.activeSamples = 0;
+      this.active = false;
+    }
+
+    /**
+     * Push one input sample; returns 'start' or 'end' when the flag changes, else null
+     */
+    process(sample, threshold) {
+      this.buffer[this.position++] = sample;
+      if (this.active) {
+        this.activeSamples++;
+      }
+      if (this.position < this.frameSize) return null;
+
+      this.position = 0;
+      this.analyze(threshold);
+
+      if (!this.active && this.score >= this.threshold) {
+        this.active = true;
+        this.activeSamples = 0;
+        this.peakScore = this.score;
+        return 'start';
+      }
+      if (this.active) {
+        this.peakScore = Math.max(this.peakScore, this.score);
+        if (this.score < this.threshold - DISTORTION_HYSTERESIS) {
+          this.active = false;
+          return 'end';
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Score the completed frame and update the smoothed score
+     */
+    analyze(threshold) {
+      const { frameSize, buffer, fft } = this;
+
+      let peak = 0;
+      let sum = 0;
+      for (let i = 0; i < frameSize; i++) {
+        peak = Math.max(peak, Math.abs(buffer[i]));
+        sum += buffer[i] * buffer[i];
+      }
+      const levelDb = linearToDb(Math.sqrt(sum / frameSize));
+
+      let frameScore = 0;
+      if (levelDb > threshold - DISTORTION_LEVEL_MARGIN) {
+        for (let i = 0; i < frameSize; i++) {
+          fft.real[i] = buffer[i] * this.window[i];
+          fft.imag[i] = 0;
+        }
+        fft.transform();
+
+        // Power spectrum without DC
+        let total = 0;
+        let bass = 0;
+        let logSum = 0;
+        const bins = frameSize / 2 - 1;
+        for (let k = 1; k <= bins; k++) {
+          const power = fft.real[k] * fft.real[k] + fft.imag[k] * fft.imag[k];
+          total += power;
+          logSum += Math.log(power + 1e-20);
+          if (k < this.bassBins) {
+            bass += power;
+          }
+        }
+
+        const flatness = total > 0 ? Math.exp(logSum / bins) / (total / bins) : 0;
+        this.clipping = scoreRange(this.flatTopShare(peak), DISTORTION_CLIP_RANGE);
+        this.flatness = scoreRange(flatness, DISTORTION_FLATNESS_RANGE);
+        this.bass = scoreRange(total > 0 ? bass / total : 0, DISTORTION_BASS_RANGE);
+        frameScore = Math.max(this.clipping, this.flatness, this.bass);
+      } else {
+        this.clipping = 0;
+        this.flatness = 0;
+        this.bass = 0;
+      }
+
+      this.score += (frameScore - this.score) * this.scoreCoeff;
+    }
+
+    /**
+     * Share of the frame's samples in runs held at the peak (either polarity)
+     */
+    flatTopShare(peak) {
+      const ceiling = peak * (1 - DISTORTION_CLIP_TOLERANCE);
+      let held = 0;
+      let run = 0;
+
+      for (let i = 0; i <= this.frameSize; i++) {
+        if (i < this.frameSize && Math.abs(this.buffer[i]) >= ceiling) {
+          run++;
+        } else {
+          if (run >= DISTORTION_CLIP_RUN) {
+            held += run;
+          }
+          run = 0;
+        }
+      }
+
+      return held / this.frameSize;
+    }
+  }
+
+  /**
+   * Noise gate / downward expander driven by the raw input level
+   * Opens above the open threshold and closes once the level has stayed below the close
+   * threshold for the hold time. While closed, the gain falls by (ratio - 1) dB per dB below
+   * the open threshold, down to -range dB. Attack is the opening time, release the closing time.
+   *
+   * The gate is evaluated on undelayed input and applied to the limiter's delayed output,
+   * so it opens a full lookahead before the first syllable; the hold is extended by the
+   * lookahead so the gate does not close before the tail of a word leaves the delay line.
+   */
+  class NoiseGate {
+    constructor(sampleRate) {
+      this.sampleRate = sampleRate;
+      this.openThreshold = DEFAULT_GATE_OPEN_THRESHOLD;
+      this.closeThreshold = DEFAULT_GATE_CLOSE_THRESHOLD;
+      this.range = DEFAULT_GATE_RANGE;
+      this.ratio = DEFAULT_GATE_RATIO;
+      this.detectorCoeff = timeToCoefficient(GATE_DETECTOR_TIME, sampleRate);
+      this.lookaheadSamples = 0;
+      this.holdTime = DEFAULT_GATE_HOLD_TIME;
+
+      // Gain falls while closing and rises while opening, so the envelope's
+      // attack (reduction) is the gate release and its release (recovery) the gate attack
+      this.envelope = new GainEnvelope(DEFAULT_GATE_RELEASE_TIME, DEFAULT_GATE_ATTACK_TIME, sampleRate);
+      this.setHoldTime(DEFAULT_GATE_HOLD_TIME);
+      this.reset();
+    }
+
+    get gain() {
+      return this.envelope.gain;
+    }
+
+    setAttackTime(attackTime) {
+      this.envelope.setReleaseTime(attackTime);
+    }
+
+    setReleaseTime(releaseTime) {
+      this.envelope.setAttackTime(releaseTime);
+    }
+
+    setHoldTime(holdTime) {
+      this.holdTime = holdTime;
+      this.holdSamples = Math.round(holdTime * this.sampleRate) + this.lookaheadSamples;
+    }
+
+    /**
+     * Extend the hold by the limiter's lookahead (samples)
+     */
+    setLookahead(lookaheadSamples) {
+      this.lookaheadSamples = lookaheadSamples;
+      this.setHoldTime(this.holdTime);
+    }
+
+    /**
+     * Start open at unity gain, so enabling the gate never chops the current word
+     */
+    reset() {
+      this.power = 0;
+      this.levelDb = MIN_DB_VALUE;
+      this.open = true;
+      this.holdCounter = this.holdSamples;
+      this.envelope.gain = DEFAULT_INITIAL_GAIN;
+    }
+
+    /**
+     * Push one frame's input power and return the gate gain
+     */
+    process(power) {
+      this.power += (power - this.power) * this.detectorCoeff;
+      this.levelDb = this.power > 0 ? Math.max(MIN_DB_VALUE, 10 * Math.log10(this.power)) : MIN_DB_VALUE;
+
+      if (this.levelDb > this.openThreshold) {
+        this.open = true;
+        this.holdCounter = this.holdSamples;
+      } else if (this.open && this.levelDb > Math.min(this.closeThreshold, this.openThreshold)) {
+        this.holdCounter = this.holdSamples;
+      } else if (this.holdCounter > 0) {
+        this.holdCounter--;
+      } else {
+        this.open = false;
+      }
+
+      let targetGain = DEFAULT_INITIAL_GAIN;
+      if (!this.open) {
+        const belowDb = Math.max(0, this.openThreshold - this.levelDb);
+        targetGain = dbToLinear(-Math.min(this.range, belowDb * (this.ratio - 1)));
+      }
+
+      return this.envelope.process(targetGain);
+    }
+  }
+
+  /**
+   * Mic-spam detector: flags sustained loudness well above the threshold
+   * The level is a slow power average, so short peaks and normal speech bursts do not count.
+   * Time above the trigger level is leaky (it counts down while below), so brief pauses
+   * between shouts do not reset it; calming down requires a continuous quiet period.
+   */
+  class SpamDetector {
+    constructor(sampleRate) {
+      this.sampleRate = sampleRate;
+      this.severity = DEFAULT_SPAM_SEVERITY;
+      this.hysteresis = DEFAULT_SPAM_HYSTERESIS;
+      this.levelCoeff = timeToCoefficient(SPAM_LEVEL_TIME, sampleRate);
+      this.setDuration(DEFAULT_SPAM_DURATION);
+      this.setRecoveryTime(DEFAULT_SPAM_RECOVERY_TIME);
+      this.reset();
+    }
+
+    setDuration(duration) {
+      this.duration = duration;
+      this.durationSamples = Math.max(1, Math.round(duration * this.sampleRate));
+    }
+
+    setRecoveryTime(recoveryTime) {
+      this.recoveryTime = recoveryTime;
+      this.recoverySamples = Math.max(1, Math.round(recoveryTime * this.sampleRate));
+    }
+
+    reset() {
+      this.power = 0;
+      this.levelDb = MIN_DB_VALUE;
+      this.overSamples = 0;
+      this.calmSamples = 0;
+      this.activeSamples = 0;
+      this.peakExcessDb = 0;
+      this.active = false;
+    }
+
+    /**
+     * Push one frame's input power; returns 'start' or 'end' when the state changes, else null
+     */
+    process(power, threshold) {
+      this.power += (power - this.power) * this.levelCoeff;
+      this.levelDb = this.power > 0 ? Math.max(MIN_DB_VALUE, 10 * Math.log10(this.power)) : MIN_DB_VALUE;
+
+      const trigger = threshold + this.severity;
+
+      if (!this.active) {
+        this.overSamples = this.levelDb > trigger ? this.overSamples + 1 : Math.max(0, this.overSamples - 1);
+        if (this.overSamples >= this.durationSamples) {
+          this.active = true;
+          this.calmSamples = 0;
+          this.activeSamples = this.overSamples;
+          this.peakExcessDb = this.levelDb - threshold;
+          return 'start';
+        }
+        return null;
+      }
+
+      this.activeSamples++;
+      this.peakExcessDb = Math.max(this.peakExcessDb, this.levelDb - threshold);
+      this.calmSamples = this.levelDb < trigger - this.hysteresis ? this.calmSamples + 1 : 0;
+
+      if (this.calmSamples >= this.recoverySamples) {
+        this.active = false;
+        this.overSamples = 0;
+        return 'end';
+      }
+      return null;
+    }
+  }
+
+  /**
+   * One gain path: Level Detection → Gain Computer → Attack/Release
+   * Linked mode runs a single path for all channels; unlinked mode runs one per channel
+   */
+  class GainPath {
+    constructor(core, initialGain = DEFAULT_INITIAL_GAIN) {
+      this.core = core;
+      this.envelope = new GainEnvelope(core.attackTime, core.releaseTime, core.sampleRate, initialGain);
+      this.detectorDb = MIN_DB_VALUE;
+      this.targetGain = DEFAULT_INITIAL_GAIN;
+      this.thresholdOffset = 0; // dB added to the core threshold (multiband bands)
+      this.build();
+    }
+
+    get gain() {
+      return this.envelope.gain;
+    }
+
+    /**
+     * (Re)create the level detector for the core's current mode
+     */
+    build() {
+      const core = this.core;
+
+      if (core.detectorMode === 'peak' || core.detectorMode === 'truePeak') {
+        // Hold peaks for the whole lookahead so the delayed sample is always covered,
+        // then ramp gain over the part of the lookahead not used by the detector itself
+        const detectorDelay = core.detectorMode === 'truePeak' ? TRUE_PEAK_DELAY : 0;
+        this.detector = core.detectorMode === 'truePeak'
+          ? new TruePeakDetector(core.lookaheadSize + 1)
+          : new PeakDetector(core.lookaheadSize + 1);
+        this.gainRamp = new MovingAverage(core.lookaheadSize + 1 - detectorDelay, this.gain);
+      } else {
+        this.detector = new RmsDetector(Math.floor(core.sampleRate * core.rmsWindow));
+        this.gainRamp = null;
+      }
+    }
+
+    /**
+     * Turn a detected level into the gain for the current sample
+     */
+    computeGain(level) {
+      const db = level > 0 ? 20 * Math.log10(level) : MIN_DB_VALUE;
+      this.detectorDb = db;
+
+      // Calculate target gain based on threshold
+      // (shifting the level down by the offset is the same as raising the threshold by it)
+      const targetGain = computeStaticGain(db - this.thresholdOffset, this.core);
+      this.targetGain = targetGain;
+
+      // Smooth gain changes with attack/release envelope
+      // This prevents rapid gain jitter while lookahead prevents lag-based pumping
+      return this.gainRamp
+        ? this.envelope.process(this.gainRamp.process(targetGain), true)
+        : this.envelope.process(targetGain);
+    }
+
+    /**
+     * Feed a level already in the delay line through the peak ramp without advancing the envelope
+     */
+    prime(level) {
+      const db = level > 0 ? 20 * Math.log10(level) : MIN_DB_VALUE;
+      this.gainRamp.process(computeStaticGain(db - this.thresholdOffset, this.core));
+    }
+  }
+
+  /**
+   * Multiband stage: splits every channel into low/mid/high bands (ThreeBandCrossover)
+   * and limits each band with its own GainPath at threshold + band offset
+   * Band gains are applied to delayed band samples, so every band gets the full lookahead.
+   * Bands are always linked across channels.
+   *
+   * process() also returns an estimate of the band-limited signal for the current
+   * (undelayed) frame, assuming each band reaches its target gain - the broadband
+   * limiter runs on that estimate so the recombined output still respects the threshold.
+   */
+  class MultibandStage {
+    constructor(core) {
+      this.core = core;
+      this.crossovers = [];
+      this.delays = [];       // [channel][band]
+      this.bands = BAND_NAMES.map(() => new Float32Array(0));
+      this.split = new Float32Array(BAND_NAMES.length);
+      this.paths = BAND_NAMES.map((name, band) => {
+        const path = new GainPath(core);
+        path.thresholdOffset = core.bandOffsets[band];
+        return path;
+      });
+      this.meterMinGains = new Float32Array(BAND_NAMES.length).fill(DEFAULT_INITIAL_GAIN);
+
+      // Band delay lines start empty: the broadband path is used until they have filled,
+      // then LimiterCore crossfades to the band output. The crossfade position is delayed
+      // like the audio, so the detector sees each step of the crossfade a lookahead early.
+      this.warmup = core.lookaheadSize + 1;
+      this.mixDelay = new LookaheadDelay(
+        core.lookaheadSize,
+        Math.round(LOOKAHEAD_CROSSFADE_TIME * core.sampleRate),
+        lookaheadToSamples(MAX_LOOKAHEAD_TIME, core.sampleRate)
+      );
+      this.setFrequencies(core.crossoverLow, core.crossoverHigh);
+    }
+
+    /**
+     * Set the crossover frequencies (Hz), kept an octave apart and below Nyquist
+     */
+    setFrequencies(lowFrequency, highFrequency) {
+      const maxFrequency = this.core.sampleRate * MAX_CROSSOVER_RATIO;
+      this.lowFrequency = Math.max(MIN_CROSSOVER_FREQUENCY,
+        Math.min(maxFrequency / MIN_CROSSOVER_SPACING, lowFrequency));
+      this.highFrequency = Math.max(this.lowFrequency * MIN_CROSSOVER_SPACING,
+        Math.min(maxFrequency, highFrequency));
+      this.crossovers.forEach(crossover => crossover.setFrequencies(this.lowFrequency, this.highFrequency));
+    }
+
+    /**
+     * Band thresholds relative to the core threshold (dB, [low, mid, high])
+     */
+    setOffsets(offsets) {
+      this.paths.forEach((path, band) => {
+        path.thresholdOffset = offsets[band];
+      });
+    }
+
+    /**
+     * Allocate crossovers and band delay lines for the given channel count
+     */
+    ensureChannels(numChannels) {
+      const core = this.core;
+      while (this.crossovers.length < numChannels) {
+        this.crossovers.push(new ThreeBandCrossover(this.lowFrequency, this.highFrequency, core.sampleRate));
+        this.delays.push(BAND_NAMES.map(() => new LookaheadDelay(
+          core.lookaheadSize,
+          Math.round(LOOKAHEAD_CROSSFADE_TIME * core.sampleRate),
+          lookaheadToSamples(MAX_LOOKAHEAD_TIME, core.sampleRate)
+        )));
+      }
+
+      if (this.bands[0].length < numChannels) {
+        this.bands = BAND_NAMES.map(() => new Float32Array(numChannels));
+      }
+    }
+
+    /**
+     * Rebuild the band detectors (detector mode or lookahead changed) and replay the band delay lines
+     */
+    rebuild(maxAge) {
+      this.paths.forEach(path => path.build());
+      if (!this.paths[0].gainRamp) return;
+
+      const numChannels = this.delays.length;
+      for (let age = maxAge; age >= 1; age--) {
+        this.paths.forEach((path, band) => {
+          const frame = this.bands[band];
+          for (let ch = 0; ch < numChannels; ch++) {
+            frame[ch] = this.delays[ch][band].read(age);
+          }
+          path.prime(path.detector.processFrame(frame, numChannels));
+        });
+      }
+    }
+
+    /**
+     * Change the band delay lines to the core's lookahead
+     */
+    setLookahead(previousSize) {
+      const size = this.core.lookaheadSize;
+      this.delays.forEach(channel => channel.forEach(delay => delay.setDelay(size)));
+      this.mixDelay.setDelay(size);
+      if (this.paths[0].gainRamp) {
+        this.rebuild(Math.max(previousSize, size) + 1);
+      }
+    }
+
+    /**
+     * Split and limit one frame
+     * Writes the band-limited estimate of the current frame to `estimate` and the
+     * recombined delayed output to `output`; returns false while the delay lines fill
+     */
+    process(frame, numChannels, estimate, output) {
+      const split = this.split;
+      for (let ch = 0; ch < numChannels; ch++) {
+        this.crossovers[ch].process(frame[ch], split);
+        for (let band = 0; band < split.length; band++) {
+          this.bands[band][ch] = split[band];
+        }
+        estimate[ch] = 0;
+        output[ch] = 0;
+      }
+
+      this.paths.forEach((path, band) => {
+        const samples = this.bands[band];
+        const gain = path.computeGain(path.detector.processFrame(samples, numChannels));
+        const targetGain = path.targetGain;
+
+        for (let ch = 0; ch < numChannels; ch++) {
+          estimate[ch] += samples[ch] * targetGain;
+          output[ch] += this.delays[ch][band].process(samples[ch]) * gain;
+        }
+        this.meterMinGains[band] = Math.min(this.meterMinGains[band], gain);
+      });
+
+      if (this.warmup > 0) {
+        this.warmup--;
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * Lowest gain per band since the last call, as dB of reduction [low, mid, high]
+     */
+    takeGainReductionDb() {
+      const reduction = Array.from(this.meterMinGains, gain => -linearToDb(gain));
+      this.paths.forEach((path, band) => {
+        this.meterMinGains[band] = path.gain;
+      });
+      return reduction;
+    }
+  }
+
+  /**
+   * Complete limiter: Level Detection → Gain Computer → Attack/Release → Lookahead Delay → Output
+   * All times are in seconds, levels in dB
+   *
+   * Detector modes:
+   * - 'rms': sliding-window RMS, smoothed by the attack/release envelope (perceived loudness)
+   * - 'peak': sample peak held over the lookahead window
+   * - 'truePeak': 4x-oversampled intersample peak held over the lookahead window
+   * In the peak modes the gain ramps down across the lookahead instead of using the attack
+   * time, so the threshold becomes a brickwall ceiling that is never exceeded.
+   *
+   * Gain modes:
+   * - 'limit': infinite ratio, the threshold is a ceiling
+   * - 'compress': soft-knee compression by `ratio` above the threshold (levels may exceed it)
+   *
+   * Channel modes (any number of channels, processed frame by frame):
+   * - 'linked': one detector driven by the loudest channel, one gain applied to all channels
+   * - 'unlinked': an independent detector and gain per channel
+   *
+   * An optional AGC stage (AutoGainStage) boosts quiet speech before detection, so the
+   * threshold remains a hard ceiling on top of any boost. AGC gain is always linked.
+   *
+   * An optional NoiseGate attenuates the output while the input is below its thresholds
+   * (fans, keyboards and room noise between words). It shares the lookahead delay with
+   * the limiter, so openings are anticipated. Gate gain is always linked.
+   *
+   * A SpamDetector watches the raw input for sustained loudness above the threshold and
+   * queues 'start'/'end' events (takeSpamEvents); the spam policy can duck or mute the
+   * output while the spammer is flagged.
+   *
+   * A DistortionDetector flags clipped, noise-like or bass-boosted input ("earrape") that can
+   * sit right at the threshold, queues 'start'/'end' events (takeDistortionEvents) and
+   * can attenuate it by distortionAttenuation dB while flagged (off by default).
+   *
+   * In multiband mode (MultibandStage) the input is first split into low/mid/high bands,
+   * each limited at its own threshold offset, so a shrill whistle only pulls down the high
+   * band. The broadband gain path then runs on the band-limited signal.
+   */
+  class LimiterCore {
+    constructor(sampleRate, options = {}) {
+      this.sampleRate = sampleRate;
+
+      // Limiter parameters
+      this.threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+      this.attackTime = options.attackTime !== undefined ? options.attackTime : DEFAULT_ATTACK_TIME;
+      this.releaseTime = options.releaseTime !== undefined ? options.releaseTime : DEFAULT_RELEASE_TIME;
+      this.rmsWindow = options.rmsWindow !== undefined ? options.rmsWindow : DEFAULT_RMS_WINDOW;
+      this.detectorMode = options.detectorMode !== undefined ? options.detectorMode : DEFAULT_DETECTOR_MODE;
+      this.channelMode = options.channelMode !== undefined ? options.channelMode : DEFAULT_CHANNEL_MODE;
+
+      // Gain computer: hard limit, or soft-knee compression
+      this.gainMode = options.gainMode !== undefined ? options.gainMode : DEFAULT_GAIN_MODE;
+      this.ratio = options.ratio !== undefined ? options.ratio : DEFAULT_RATIO;
+      this.kneeWidth = options.kneeWidth !== undefined ? options.kneeWidth : DEFAULT_KNEE_WIDTH;
+
+      // Lookahead delay per channel (created as channels appear)
+      // Analyzes future audio before output to eliminate lag-based pumping
+      this.lookaheadTime = options.lookaheadTime !== undefined ? options.lookaheadTime : DEFAULT_LOOKAHEAD_TIME;
+      this.lookaheadSize = lookaheadToSamples(this.lookaheadTime, sampleRate); // ~480 samples at 48kHz
+      this.delays = [];
+      this.dryDelays = [];
+      this.frame = new Float32Array(0);
+      this.frameGains = new Float32Array(0);
+      this.bandEstimate = new Float32Array(0);
+      this.bandOutput = new Float32Array(0);
+
+      // Gain paths: one when linked, one per channel when unlinked
+      this.paths = [new GainPath(this)];
+
+      // Optional upward normalization before the limiter
+      this.agcEnabled = false;
+      this.agc = new AutoGainStage(sampleRate);
+
+      // Optional noise gate / expander on the input level, applied to the delayed output
+      this.gateEnabled = false;
+      this.gate = new NoiseGate(sampleRate);
+      this.gate.setLookahead(this.lookaheadSize);
+
+      // Mic-spam detection on the input, with an optional duck/mute policy after the limiter
+      this.spamDetection = true;
+      this.spamPolicy = DEFAULT_SPAM_POLICY;
+      this.spamDuckAmount = DEFAULT_SPAM_DUCK_AMOUNT;
+      this.spam = new SpamDetector(sampleRate);
+      this.spamEnvelope = new GainEnvelope(SPAM_POLICY_ATTACK_TIME, SPAM_POLICY_RELEASE_TIME, sampleRate);
+      this.spamEvents = [];
+
+      // Distortion detection on the input, with extra attenuation while flagged
+      this.distortionDetection = true;
+      this.distortionAttenuation = DEFAULT_DISTORTION_ATTENUATION;
+      this.distortion = new DistortionDetector(sampleRate);
+      this.distortionEnvelope = new GainEnvelope(DISTORTION_ATTACK_TIME, DISTORTION_RELEASE_TIME, sampleRate);
+      this.distortionEvents = [];
+
+      // Optional multiband stage before the broadband gain path (created when enabled)
+      this.crossoverLow = DEFAULT_CROSSOVER_LOW;
+      this.crossoverHigh = DEFAULT_CROSSOVER_HIGH;
+      this.bandOffsets = DEFAULT_BAND_OFFSETS.slice();
+      this.multiband = null;
+      this.multibandOn = false;
+      // Switching crossfades between the broadband and band outputs (the stage runs until faded out)
+      this.bandMix = 0;                    // 0 = broadband, 1 = multiband
+      this.bandMixStep = 1 / Math.max(1, Math.round(MULTIBAND_CROSSFADE_TIME * sampleRate));
+
+      // True bypass: crossfade to the delayed unprocessed input (processing keeps running)
+      // With loudness matching, the bypassed signal follows the processed level for fair A/B listening
+      this.bypass = false;
+      this.bypassLoudnessMatch = false;
+      this.bypassMix = 0;                  // 0 = processed, 1 = bypassed
+      this.bypassStep = 1 / Math.max(1, Math.round(BYPASS_CROSSFADE_TIME * sampleRate));
+      this.matchCoeff = timeToCoefficient(LOUDNESS_MATCH_TIME, sampleRate);
+      this.matchDryPower = 0;
+      this.matchProcessedPower = 0;
+
+      this.resetMeter();
+    }
+
+    /**
+     * Gain applied to the bypassed signal so it is as loud as the processed one
+     */
+    get loudnessMatchGain() {
+      if (this.matchDryPower <= 0 || this.matchProcessedPower <= 0) return 1;
+
+      const db = 10 * Math.log10(this.matchProcessedPower / this.matchDryPower);
+      return dbToLinear(Math.max(LOUDNESS_MATCH_RANGE[0], Math.min(LOUDNESS_MATCH_RANGE[1], db)));
+    }
+
+    get multibandEnabled() {
+      return this.multibandOn;
+    }
+
+    /**
+     * Broadband gain paths plus the multiband band paths (if enabled)
+     */
+    get allPaths() {
+      return this.multiband ? this.paths.concat(this.multiband.paths) : this.paths;
+    }
+
+    /**
+     * Current gain (the lowest across gain paths)
+     */
+    get currentGain() {
+      let gain = DEFAULT_INITIAL_GAIN;
+      this.paths.forEach(path => {
+        gain = Math.min(gain, path.gain);
+      });
+      return gain;
+    }
+
+    /**
+     * Current detector level (the highest across gain paths)
+     */
+    get detectorDb() {
+      let db = MIN_DB_VALUE;
+      this.paths.forEach(path => {
+        db = Math.max(db, path.detectorDb);
+      });
+      return db;
+    }
+
+    /**
+     * Delay added by the limiter, in samples
+     */
+    get latency() {
+      return this.lookaheadSize;
+    }
+
+    /**
+     * Allocate delay lines (and unlinked gain paths) for the given channel count
+     */
+    ensureChannels(numChannels) {
+      while (this.delays.length < numChannels) {
+        [this.delays, this.dryDelays].forEach(delays => delays.push(new LookaheadDelay(
+          this.lookaheadSize,
+          Math.round(LOOKAHEAD_CROSSFADE_TIME * this.sampleRate),
+          lookaheadToSamples(MAX_LOOKAHEAD_TIME, this.sampleRate)
+        )));
+      }
+
+      if (this.channelMode === 'unlinked') {
+        while (this.paths.length < numChannels) {
+          this.paths.push(new GainPath(this, this.currentGain));
+        }
+      }
+
+      if (this.frame.length < numChannels) {
+        this.frame = new Float32Array(numChannels);
+        this.frameGains = new Float32Array(numChannels);
+        this.bandEstimate = new Float32Array(numChannels);
+        this.bandOutput = new Float32Array(numChannels);
+      }
+
+      if (this.multiband) {
+        this.multiband.ensureChannels(numChannels);
+      }
+    }
+
+    /**
+     * Rebuild gain paths for the current channel mode, continuing from the current gain
+     */
+    buildPaths() {
+      const gain = this.currentGain;
+      const count = this.channelMode === 'unlinked' ? Math.max(1, this.delays.length) : 1;
+
+      this.paths = [];
+      for (let i = 0; i < count; i++) {
+        this.paths.push(new GainPath(this, gain));
+      }
+      this.primePaths(this.lookaheadSize + 1);
+    }
+
+    /**
+     * Replay audio already in the delay lines through freshly built peak detectors
+     * so those samples stay under the ceiling (RMS mode has no lookahead-window state)
+     */
+    primePaths(maxAge) {
+      if (!this.paths[0].gainRamp || this.delays.length === 0) return;
+
+      const numChannels = this.delays.length;
+      const frame = this.frame;
+
+      for (let age = maxAge; age >= 1; age--) {
+        for (let ch = 0; ch < numChannels; ch++) {
+          frame[ch] = this.delays[ch].read(age);
+        }
+
+        if (this.channelMode === 'unlinked') {
+          this.paths.forEach((path, ch) => path.prime(path.detector.process(frame[ch])));
+        } else {
+          const path = this.paths[0];
+          path.prime(path.detector.processFrame(frame, numChannels));
+        }
+      }
+    }
+
+    /**
+     * Update parameters (seconds / dB); undefined values are ignored
+     */
+    setParameters({
+      threshold, attackTime, releaseTime, rmsWindow, detectorMode, lookaheadTime, channelMode,
+      gainMode, ratio, kneeWidth,
+      multibandEnabled, crossoverLow, crossoverHigh, lowBandOffset, midBandOffset, highBandOffset,
+      agcEnabled, agcTarget, agcMaxBoost, agcTime, agcGate,
+      gateEnabled, gateOpenThreshold, gateCloseThreshold, gateHoldTime, gateRange, gateRatio,
+      gateAttackTime, gateReleaseTime,
+      spamDetection, spamSeverity, spamDuration, spamHysteresis, spamRecoveryTime, spamPolicy, spamDuckAmount,
+      distortionDetection, distortionThreshold, distortionAttenuation,
+      bypass, bypassLoudnessMatch
+    } = {}) {
+      if (threshold !== undefined) {
+        this.threshold = threshold;
+      }
+      if (gainMode !== undefined && GAIN_MODES.includes(gainMode)) {
+        this.gainMode = gainMode;
+      }
+      if (ratio !== undefined && ratio >= 1) {
+        this.ratio = ratio;
+      }
+      if (kneeWidth !== undefined && kneeWidth >= 0) {
+        this.kneeWidth = kneeWidth;
+      }
+      if (attackTime !== undefined) {
+        this.attackTime = attackTime;
+        this.allPaths.forEach(path => path.envelope.setAttackTime(attackTime));
+      }
+      if (releaseTime !== undefined) {
+        this.releaseTime = releaseTime;
+        this.allPaths.forEach(path => path.envelope.setReleaseTime(releaseTime));
+      }
+      if (rmsWindow !== undefined) {
+        // Update RMS window size and reset buffer
+        const newWindowSize = Math.floor(this.sampleRate * rmsWindow);
+        this.rmsWindow = rmsWindow;
+        this.allPaths.forEach(path => {
+          if (path.detector instanceof RmsDetector && newWindowSize !== path.detector.windowSize) {
+            path.detector.resize(newWindowSize);
+          }
+        });
+      }
+      if (detectorMode !== undefined && detectorMode !== this.detectorMode
+          && DETECTOR_MODES.includes(detectorMode)) {
+        this.detectorMode = detectorMode;
+        this.paths.forEach(path => path.build());
+        this.primePaths(this.lookaheadSize + 1);
+        if (this.multiband) {
+          this.multiband.rebuild(this.lookaheadSize + 1);
+        }
+      }
+      if (channelMode !== undefined && channelMode !== this.channelMode
+          && CHANNEL_MODES.includes(channelMode)) {
+        this.channelMode = channelMode;
+        this.buildPaths();
+      }
+      if (lookaheadTime !== undefined) {
+        this.setLookahead(lookaheadTime);
+      }
+      if (crossoverLow !== undefined || crossoverHigh !== undefined) {
+        this.crossoverLow = crossoverLow !== undefined ? crossoverLow : this.crossoverLow;
+        this.crossoverHigh = crossoverHigh !== undefined ? crossoverHigh : this.crossoverHigh;
+        if (this.multiband) {
+          this.multiband.setFrequencies(this.crossoverLow, this.crossoverHigh);
+        }
+      }
+      [lowBandOffset, midBandOffset, highBandOffset].forEach((offset, band) => {
+        if (offset !== undefined) {
+          this.bandOffsets[band] = offset;
+        }
+      });
+      if (this.multiband) {
+        this.multiband.setOffsets(this.bandOffsets);
+      }
+      if (multibandEnabled !== undefined && multibandEnabled !== this.multibandEnabled) {
+        // Switching off keeps the stage until the output has crossfaded back to broadband
+        this.multibandOn = multibandEnabled;
+        if (multibandEnabled && !this.multiband) {
+          this.multiband = new MultibandStage(this);
+          this.multiband.ensureChannels(this.delays.length);
+        }
+      }
+      if (agcEnabled !== undefined && agcEnabled !== this.agcEnabled) {
+        this.agcEnabled = agcEnabled;
+        this.agc.reset();
+      }
+      if (agcTarget !== undefined) {
+        this.agc.targetLevel = agcTarget;
+      }
+      if (agcMaxBoost !== undefined) {
+        this.agc.maxBoost = agcMaxBoost;
+      }
+      if (agcTime !== undefined) {
+        this.agc.setRideTime(agcTime);
+      }
+      if (agcGate !== undefined) {
+        this.agc.gateThreshold = agcGate;
+      }
+      if (gateEnabled !== undefined && gateEnabled !== this.gateEnabled) {
+        this.gateEnabled = gateEnabled;
+        this.gate.reset();
+      }
+      if (gateOpenThreshold !== undefined) {
+        this.gate.openThreshold = gateOpenThreshold;
+      }
+      if (gateCloseThreshold !== undefined) {
+        this.gate.closeThreshold = gateCloseThreshold;
+      }
+      if (gateHoldTime !== undefined) {
+        this.gate.setHoldTime(gateHoldTime);
+      }
+      if (gateRange !== undefined && gateRange >= 0) {
+        this.gate.range = gateRange;
+      }
+      if (gateRatio !== undefined && gateRatio >= 1) {
+        this.gate.ratio = gateRatio;
+      }
+      if (gateAttackTime !== undefined) {
+        this.gate.setAttackTime(gateAttackTime);
+      }
+      if (gateReleaseTime !== undefined) {
+        this.gate.setReleaseTime(gateReleaseTime);
+      }
+      if (spamDetection !== undefined && spamDetection !== this.spamDetection) {
+        this.spamDetection = spamDetection;
+        if (!spamDetection && this.spam.active) {
+          this.spamEvents.push(this.createSpamEvent('end', 0));
+        }
+        this.spam.reset();
+      }
+      if (spamSeverity !== undefined) {
+        this.spam.severity = spamSeverity;
+      }
+      if (spamDuration !== undefined) {
+        this.spam.setDuration(spamDuration);
+      }
+      if (spamHysteresis !== undefined) {
+        this.spam.hysteresis = spamHysteresis;
+      }
+      if (spamRecoveryTime !== undefined) {
+        this.spam.setRecoveryTime(spamRecoveryTime);
+      }
+      if (spamPolicy !== undefined && SPAM_POLICIES.includes(spamPolicy)) {
+        this.spamPolicy = spamPolicy;
+      }
+      if (spamDuckAmount !== undefined) {
+        this.spamDuckAmount = spamDuckAmount;
+      }
+      if (distortionDetection !== undefined && distortionDetection !== this.distortionDetection) {
+        this.distortionDetection = distortionDetection;
+        if (!distortionDetection && this.distortion.active) {
+          this.distortionEvents.push(this.createDistortionEvent('end', 0));
+        }
+        this.distortion.reset();
+      }
+      if (distortionThreshold !== undefined) {
+        this.distortion.threshold = distortionThreshold;
+      }
+      if (distortionAttenuation !== undefined && distortionAttenuation >= 0) {
+        this.distortionAttenuation = distortionAttenuation;
+      }
+      if (bypass !== undefined) {
+        this.bypass = Boolean(bypass);
+      }
+      if (bypassLoudnessMatch !== undefined) {
+        this.bypassLoudnessMatch = Boolean(bypassLoudnessMatch);
+      }
+    }
+
+    /**
+     * Change the lookahead (seconds) - the delay lines crossfade to the new length
+     */
+    setLookahead(lookaheadTime) {
+      const size = lookaheadToSamples(lookaheadTime, this.sampleRate);
+      this.lookaheadTime = lookaheadTime;
+      if (size === this.lookaheadSize) return;
+
+      const previousSize = this.lookaheadSize;
+      this.lookaheadSize = size;
+      this.delays.forEach(delay => delay.setDelay(size));
+      this.dryDelays.forEach(delay => delay.setDelay(size));
+      this.gate.setLookahead(size);
+      if (this.multiband) {
+        this.multiband.setLookahead(previousSize);
+      }
+
+      // Peak detectors hold over the lookahead window, so resize them too and replay
+      // everything still in the delay lines (including the crossfade from the old length)
+      if (this.paths[0].gainRamp) {
+        this.paths.forEach(path => path.build());
+        this.primePaths(Math.max(previousSize, size) + 1);
+      }
+    }
+
+    /**
+     * Process one block of audio, frame by frame
+     * inputChannels/outputChannels are arrays of equal-length Float32Arrays
+     * thresholds optionally automates the threshold (dB): one value per frame,
+     * or a single value for the whole block (the AudioParam layout)
+     */
+    process(inputChannels, outputChannels, thresholds = null) {
+      const numChannels = Math.min(inputChannels.length, outputChannels.length);
+      if (numChannels === 0) return;
+
+      this.ensureChannels(numChannels);
+
+      const frame = this.frame;
+      const gains = this.frameGains;
+      const bandOutput = this.bandOutput;
+      const linked = this.channelMode !== 'unlinked';
+      const length = inputChannels[0].length;
+
+      for (let i = 0; i < length; i++) {
+        if (thresholds) {
+          this.threshold = thresholds.length > 1 ? thresholds[i] : thresholds[0];
+        }
+
+        // STEP 0: Optional upward normalization (one gain, driven by the loudest channel)
+        let agcGain = 1;
+        if (this.agcEnabled) {
+          let loudest = 0;
+          for (let ch = 0; ch < numChannels; ch++) {
+            if (Math.abs(inputChannels[ch][i]) > Math.abs(loudest)) loudest = inputChannels[ch][i];
+          }
+          agcGain = this.agc.process(loudest);
+        }
+
+        let inputPower = 0;
+        let inputSum = 0;
+        for (let ch = 0; ch < numChannels; ch++) {
+          const inputSample = inputChannels[ch][i];
+          frame[ch] = inputSample * agcGain;
+          inputPower = Math.max(inputPower, inputSample * inputSample);
+          inputSum += inputSample;
+          this.meterPeakIn = Math.max(this.meterPeakIn, Math.abs(inputSample));
+        }
+
+        // Mic-spam detection on the raw input (loudest channel)
+        if (this.spamDetection) {
+          const change = this.spam.process(inputPower, this.threshold);
+          if (change) {
+            this.spamEvents.push(this.createSpamEvent(change, i));
+          }
+        }
+        const spamGain = this.spamEnvelope.process(this.spamPolicyGain());
+
+        // Distortion detection on the raw input (channel average)
+        if (this.distortionDetection) {
+          const change = this.distortion.process(inputSum / numChannels, this.threshold);
+          if (change) {
+            this.distortionEvents.push(this.createDistortionEvent(change, i));
+          }
+        }
+        const distortionGain = this.distortionEnvelope.process(
+          this.distortion.active ? dbToLinear(-this.distortionAttenuation) : 1
+        );
+
+        // Noise gate on the raw input, applied to the delayed output with the limiter gain
+        const gateGain = this.gateEnabled ? this.gate.process(inputPower) : 1;
+
+        // Optional multiband stage: limit each band, then detect on the band-limited estimate
+        const bandsReady = this.multiband !== null
+          && this.multiband.process(frame, numChannels, this.bandEstimate, bandOutput);
+        const bandMix = bandsReady ? this.stepBandMix() : 0;
+        const outputMix = this.multiband !== null ? this.multiband.mixDelay.process(bandMix) : 0;
+        const detectFrame = bandMix > 0 ? this.bandEstimate : frame;
+        if (bandMix > 0 && bandMix < 1) {
+          // Mid-crossfade, detect on the mix that will be output
+          for (let ch = 0; ch < numChannels; ch++) {
+            detectFrame[ch] = frame[ch] + (detectFrame[ch] - frame[ch]) * bandMix;
+          }
+        }
+
+        // STEP 1-3: Analyze current frame (the "future" audio) and compute smoothed gain
+        let aboveThreshold = false;
+        if (linked) {
+          const path = this.paths[0];
+          const gain = path.computeGain(path.detector.processFrame(detectFrame, numChannels));
+          for (let ch = 0; ch < numChannels; ch++) {
+            gains[ch] = gain;
+          }
+          aboveThreshold = path.detectorDb > this.threshold;
+        } else {
+          for (let ch = 0; ch < numChannels; ch++) {
+            const path = this.paths[ch];
+            gains[ch] = path.computeGain(path.detector.process(detectFrame[ch]));
+            aboveThreshold = aboveThreshold || path.detectorDb > this.threshold;
+          }
+        }
+
+        // Bypass crossfade position (0 = processed, 1 = bypassed)
+        if (this.bypass ? this.bypassMix < 1 : this.bypassMix > 0) {
+          this.bypassMix = Math.max(0, Math.min(1, this.bypassMix + (this.bypass ? this.bypassStep : -this.bypassStep)));
+        }
+        const dryGain = this.bypassMix > 0 && this.bypassLoudnessMatch ? this.loudnessMatchGain : 1;
+
+        // STEP 4: Apply gain calculated from "future" audio to delayed samples
+        // (plus the gate, distortion attenuation and any duck/mute applied to a detected mic spammer)
+        // The broadband delay lines are always fed, so switching multiband mode crossfades cleanly
+        let dryPower = 0;
+        let processedPower = 0;
+        for (let ch = 0; ch < numChannels; ch++) {
+          const delayed = this.delays[ch].process(frame[ch]);
+          const limited = outputMix > 0 ? delayed + (bandOutput[ch] - delayed) * outputMix : delayed;
+          const processed = limited * gains[ch] * spamGain * gateGain * distortionGain;
+
+          // The unprocessed input (before AGC) is delayed by the same amount, so bypass stays aligned
+          const dry = this.dryDelays[ch].process(inputChannels[ch][i]);
+          const outputSample = this.bypassMix > 0
+            ? processed + (dry * dryGain - processed) * this.bypassMix
+            : processed;
+          outputChannels[ch][i] = outputSample;
+
+          dryPower += dry * dry;
+          processedPower += processed * processed;
+
+          this.meterPeakOut = Math.max(this.meterPeakOut, Math.abs(outputSample));
+          this.meterMinGain = Math.min(this.meterMinGain, gains[ch]);
+        }
+
+        // Average dry and processed levels while there is input (for loudness-matched bypass)
+        if (dryPower > numChannels * dbToLinear(2 * LOUDNESS_MATCH_GATE)) {
+          this.matchDryPower += (dryPower - this.matchDryPower) * this.matchCoeff;
+          this.matchProcessedPower += (processedPower - this.matchProcessedPower) * this.matchCoeff;
+        }
+
+        // A switched-off multiband stage is dropped once its output has faded out
+        if (!this.multibandOn && this.multiband && this.bandMix === 0 && outputMix === 0) {
+          this.multiband = null;
+        }
+
+        // Accumulate metering data (counted in frames)
+        this.meterSamples++;
+        if (aboveThreshold) {
+          this.meterAboveThreshold++;
+        }
+      }
+    }
+
+    /**
+     * Advance the broadband/multiband crossfade by one frame and return its position
+     */
+    stepBandMix() {
+      const step = this.multibandOn ? this.bandMixStep : -this.bandMixStep;
+      this.bandMix = Math.max(0, Math.min(1, this.bandMix + step));
+      return this.bandMix;
+    }
+
+    /**
+     * Gain the spam policy wants right now (1 unless a spammer is being ducked or muted)
+     */
+    spamPolicyGain() {
+      if (!this.spam.active || this.spamPolicy === 'none') return 1;
+      return this.spamPolicy === 'mute' ? 0 : dbToLinear(-this.spamDuckAmount);
+    }
+
+    /**
+     * Describe a spam state change at a frame offset within the current block
+     */
+    createSpamEvent(type, frame) {
+      return {
+        type: type,
+        frame: frame,
+        levelDb: this.spam.levelDb,
+        severityDb: this.spam.peakExcessDb,
+        duration: this.spam.activeSamples / this.sampleRate,
+        policy: this.spamPolicy,
+      };
+    }
+
+    /**
+     * Return the spam events (start/end) raised since the last call, then clear them
+     */
+    takeSpamEvents() {
+      const events = this.spamEvents;
+      this.spamEvents = [];
+      return events;
+    }
+
+    /**
+     * Describe a distortion state change at a frame offset within the current block
+     */
+    createDistortionEvent(type, frame) {
+      const detector = this.distortion;
+      return {
+        type: type,
+        frame: frame,
+        score: detector.score,
+        peakScore: detector.peakScore,
+        clipping: detector.clipping,
+        flatness: detector.flatness,
+        bass: detector.bass,
+        duration: detector.activeSamples / this.sampleRate,
+      };
+    }
+
+    /**
+     * Return the distortion events (start/end) raised since the last call, then clear them
+     */
+    takeDistortionEvents() {
+      const events = this.distortionEvents;
+      this.distortionEvents = [];
+      return events;
+    }
+
+    /**
+     * Reset metering accumulators at the start of each reporting interval
+     */
+    resetMeter() {
+      this.meterSamples = 0;
+      this.meterPeakIn = 0;
+      this.meterPeakOut = 0;
+      this.meterMinGain = this.currentGain;
+      this.meterAboveThreshold = 0;
+    }
+
+    /**
+     * Return the metering state accumulated since the last call, then reset it
+     */
+    takeMeterReport() {
+      const report = {
+        threshold: this.threshold,
+        gain: this.currentGain,
+        gainReductionDb: -linearToDb(this.currentGain),
+        maxGainReductionDb: -linearToDb(this.meterMinGain),
+        detectorDb: this.detectorDb,
+        peakInputDb: linearToDb(this.meterPeakIn),
+        peakOutputDb: linearToDb(this.meterPeakOut),
+        samplesAboveThreshold: this.meterAboveThreshold,
+        samplesProcessed: this.meterSamples,
+        agcGainDb: this.agcEnabled ? this.agc.boostDb : 0,
+        voiceActive: this.agcEnabled ? this.agc.voiceActive : false,
+        gateOpen: this.gateEnabled ? this.gate.open : true,
+        gateGainDb: this.gateEnabled ? linearToDb(this.gate.gain) : 0,
+        spamActive: this.spam.active,
+        spamGainDb: linearToDb(this.spamEnvelope.gain),
+        distortionScore: this.distortion.score,
+        distortionActive: this.distortion.active,
+        distortionGainDb: linearToDb(this.distortionEnvelope.gain),
+        bandGainReductionDb: this.multibandOn ? this.multiband.takeGainReductionDb() : null,
+        bypassed: this.bypass,
+        bypassMix: this.bypassMix,
+        loudnessMatchDb: linearToDb(this.loudnessMatchGain),
+      };
+
+      this.resetMeter();
+      return report;
+    }
+  }
+
+  /**
+   * Sidechain ducker: the sidechain (voice bus) drives the detector and the gain is applied
+   * to the program (music / game audio)
+   * Speech is detected when the sidechain level rises above the threshold; the program is then
+   * attenuated by `depth` dB and held down for the hold time after speech stops.
+   */
+  class DuckerCore {
+    constructor(sampleRate, options = {}) {
+      this.sampleRate = sampleRate;
+      this.threshold = options.threshold !== undefined ? options.threshold : DEFAULT_DUCK_THRESHOLD;
+      this.depth = options.depth !== undefined ? options.depth : DEFAULT_DUCK_DEPTH;
+      this.detectorCoeff = timeToCoefficient(DUCK_DETECTOR_TIME, sampleRate);
+      this.envelope = new GainEnvelope(
+        options.attackTime !== undefined ? options.attackTime : DEFAULT_DUCK_ATTACK_TIME,
+        options.releaseTime !== undefined ? options.releaseTime : DEFAULT_DUCK_RELEASE_TIME,
+        sampleRate
+      );
+      this.setHoldTime(options.holdTime !== undefined ? options.holdTime : DEFAULT_DUCK_HOLD_TIME);
+
+      this.detectorPower = 0;
+      this.holdCounter = 0;
+      this.voiceActive = false;
+      this.resetMeter();
+    }
+
+    get gain() {
+      return this.envelope.gain;
+    }
+
+    get sidechainDb() {
+      return this.detectorPower > 0 ? Math.max(MIN_DB_VALUE, 10 * Math.log10(this.detectorPower)) : MIN_DB_VALUE;
+    }
+
+    setHoldTime(holdTime) {
+      this.holdTime = holdTime;
+      this.holdSamples = Math.round(holdTime * this.sampleRate);
+    }
+
+    /**
+     * Update parameters (seconds / dB); undefined values are ignored
+     */
+    setParameters({ threshold, depth, attackTime, releaseTime, holdTime } = {}) {
+      if (threshold !== undefined) {
+        this.threshold = threshold;
+      }
+      if (depth !== undefined && depth >= 0) {
+        this.depth = depth;
+      }
+      if (attackTime !== undefined) {
+        this.envelope.setAttackTime(attackTime);
+      }
+      if (releaseTime !== undefined) {
+        this.envelope.setReleaseTime(releaseTime);
+      }
+      if (holdTime !== undefined) {
+        this.setHoldTime(holdTime);
+      }
+    }
+
+    /**
+     * Process one block: programChannels are ducked into outputChannels, driven by sidechainChannels
+     * Either input may have no channels (not connected): a silent sidechain never ducks
+     */
+    process(programChannels, sidechainChannels, outputChannels) {
+      const length = outputChannels.length > 0 ? outputChannels[0].length : 0;
+      const numChannels = Math.min(programChannels.length, outputChannels.length);
+      const duckedGain = dbToLinear(-this.depth);
+
+      for (let i = 0; i < length; i++) {
+        // Voice activity: loudest sidechain channel against the threshold, with hold
+        let power = 0;
+        for (let ch = 0; ch < sidechainChannels.length; ch++) {
+          power = Math.max(power, sidechainChannels[ch][i] * sidechainChannels[ch][i]);
+        }
+        this.detectorPower += (power - this.detectorPower) * this.detectorCoeff;
+
+        if (this.sidechainDb > this.threshold) {
+          this.voiceActive = true;
+          this.holdCounter = this.holdSamples;
+        } else if (this.holdCounter > 0) {
+          this.holdCounter--;
+        } else {
+          this.voiceActive = false;
+        }
+
+        const gain = this.envelope.process(this.voiceActive ? duckedGain : 1);
+        for (let ch = 0; ch < numChannels; ch++) {
+          outputChannels[ch][i] = programChannels[ch][i] * gain;
+        }
+
+        this.meterMinGain = Math.min(this.meterMinGain, gain);
+        this.meterSamples++;
+      }
+    }
+
+    /**
+     * Reset metering accumulators at the start of each reporting interval
+     */
+    resetMeter() {
+      this.meterSamples = 0;
+      this.meterMinGain = this.gain;
+    }
+
+    /**
+     * Return the metering state accumulated since the last call, then reset it
+     */
+    takeMeterReport() {
+      const report = {
+        gain: this.gain,
+        duckDb: -linearToDb(this.gain),
+        maxDuckDb: -linearToDb(this.meterMinGain),
+        sidechainDb: this.sidechainDb,
+        voiceActive: this.voiceActive,
+        samplesProcessed: this.meterSamples,
+      };
+
+      this.resetMeter();
+      return report;
+    }
+  }
+
+  return {
+    DEFAULT_THRESHOLD,
+    DEFAULT_ATTACK_TIME,
+    DEFAULT_RELEASE_TIME,
+    DEFAULT_RMS_WINDOW,
+    DEFAULT_LOOKAHEAD_TIME,
+    MIN_LOOKAHEAD_TIME,
+    MAX_LOOKAHEAD_TIME,
+    DEFAULT_DETECTOR_MODE,
+    DETECTOR_MODES,
+    DEFAULT_CHANNEL_MODE,
+    CHANNEL_MODES,
+    DEFAULT_GAIN_MODE,
+    GAIN_MODES,
+    DEFAULT_RATIO,
+    DEFAULT_KNEE_WIDTH,
+    DEFAULT_GATE_OPEN_THRESHOLD,
+    DEFAULT_GATE_CLOSE_THRESHOLD,
+    DEFAULT_GATE_HOLD_TIME,
+    DEFAULT_GATE_RANGE,
+    DEFAULT_GATE_RATIO,
+    DEFAULT_GATE_ATTACK_TIME,
+    DEFAULT_GATE_RELEASE_TIME,
+    DEFAULT_SPAM_SEVERITY,
+    DEFAULT_SPAM_DURATION,
+    DEFAULT_SPAM_HYSTERESIS,
+    DEFAULT_SPAM_RECOVERY_TIME,
+    DEFAULT_SPAM_POLICY,
+    SPAM_POLICIES,
+    DEFAULT_SPAM_DUCK_AMOUNT,
+    DEFAULT_DISTORTION_THRESHOLD,
+    DEFAULT_DISTORTION_ATTENUATION,
+    DEFAULT_DUCK_THRESHOLD,
+    DEFAULT_DUCK_DEPTH,
+    DEFAULT_DUCK_ATTACK_TIME,
+    DEFAULT_DUCK_RELEASE_TIME,
+    DEFAULT_DUCK_HOLD_TIME,
+    DEFAULT_CROSSOVER_LOW,
+    DEFAULT_CROSSOVER_HIGH,
+    DEFAULT_BAND_OFFSETS,
+    BAND_NAMES,
+    DEFAULT_AGC_TARGET,
+    DEFAULT_AGC_MAX_BOOST,
+    DEFAULT_AGC_TIME,
+    DEFAULT_AGC_GATE,
+    MIN_DB_VALUE,
+    timeToCoefficient,
+    linearToDb,
+    dbToLinear,
+    lookaheadToSamples,
+    computeLimiterGain,
+    computeCompressorGain,
+    computeStaticGain,
+    RmsDetector,
+    PeakDetector,
+    TruePeakDetector,
+    TruePeakInterpolator,
+    SlidingMax,
+    MovingAverage,
+    GainEnvelope,
+    LookaheadDelay,
+    Biquad,
+    LinkwitzRileyFilter,
+    ThreeBandCrossover,
+    AutoGainStage,
+    FFT,
+    DistortionDetector,
+    NoiseGate,
+    SpamDetector,
+    GainPath,
+    MultibandStage,
+    LimiterCore,
+    DuckerCore,
+  };
+});
@@ -1,109 +1,137 @@
+// DSP core and loudness meter are loaded into the AudioWorkletGlobalScope first
+// (see limiter-dsp.js and loudness-meter.js)
+const {
+  LimiterCore, DEFAULT_THRESHOLD, DEFAULT_ATTACK_TIME, DEFAULT_RELEASE_TIME, DEFAULT_RATIO, DEFAULT_KNEE_WIDTH,
+} = globalThis.LimiterDSP;
+const { LoudnessMeter } = globalThis.LoudnessDSP;
+
 // Default constants
-const DEFAULT_THRESHOLD = -20;           // dB threshold
-const DEFAULT_ATTACK_TIME = 0.015;       // seconds (15ms) - smooth gain reduction
-const DEFAULT_RELEASE_TIME = 0.08;       // seconds (80ms) - balanced recovery speed
-const DEFAULT_RMS_WINDOW = 0.005;        // seconds (5ms) - fast level detection
-const DEFAULT_LOOKAHEAD_TIME = 0.010;    // seconds (10ms) - anticipatory limiting
-const DEFAULT_INITIAL_GAIN = 1.0;        // Unity gain at start
-const MAX_CHANNELS = 2;                  // Stereo support
-const MIN_DB_VALUE = -100;               // Minimum dB for logarithmic calculations
+const DEFAULT_METER_RATE = 60;           // Hz - metering reports sent to main thread (0 = off)
+
+// Settings that can also be scheduled and ramped as AudioParams (dB / seconds)
+// k-rate parameters are read once per block and forwarded to the core when they change
+const LIMITER_PARAMETER_DESCRIPTORS = [
+  { name: 'threshold', defaultValue: DEFAULT_THRESHOLD, minValue: -100, maxValue: 0, automationRate: 'a-rate' },
+  { name: 'attackTime', defaultValue: DEFAULT_ATTACK_TIME, minValue: 0.0001, maxValue: 1, automationRate: 'k-rate' },
+  { name: 'releaseTime', defaultValue: DEFAULT_RELEASE_TIME, minValue: 0.001, maxValue: 5, automationRate: 'k-rate' },
+  { name: 'ratio', defaultValue: DEFAULT_RATIO, minValue: 1, maxValue: 100, automationRate: 'k-rate' },
+  { name: 'kneeWidth', defaultValue: DEFAULT_KNEE_WIDTH, minValue: 0, maxValue: 24, automationRate: 'k-rate' },
+];
 
 /**
  * AudioWorklet processor for hard limiting with lookahead
  *
  * Architecture: RMS Detection → Attack/Release Smoothing → Lookahead Buffer → Output
+ * The limiting math lives in LimiterCore (limiter-dsp.js); this class wires it to Web Audio.
  *
  * Key Features:
- * - 10ms lookahead buffer eliminates lag-based pumping
+ * - Configurable lookahead buffer (default 10ms) eliminates lag-based pumping
  * - Attack/release envelope prevents gain jitter
+ * - Hard limiting or soft-knee compression (ratio / knee width)
  * - No gain boost (unity gain when below threshold)
  * - Runs at audio rate (48kHz) for perfectly smooth operation
+ * - Any channel count, with stereo-linked (default) or per-channel gain
+ * - Optional noise gate / expander sharing the lookahead delay
+ * - Optional multiband mode (3 Linkwitz-Riley bands with their own thresholds and envelopes)
+ * - Threshold, attack, release, ratio and knee are AudioParams (sample-accurate threshold automation)
+ * - Reports real gain reduction and detector levels over its port
+ * - Detects mic spam (sustained loudness) and can duck or mute the spammer
+ * - Detects clipped / bass-boosted "earrape" input and attenuates it
+ * - Measures input/output loudness (EBU R128 momentary, short-term, integrated, LRA)
+ * - True bypass: crossfades to the equally delayed unprocessed input, optionally loudness-matched
  */
 class LimiterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return LIMITER_PARAMETER_DESCRIPTORS;
+  }
+
   constructor() {
     super();
 
-    // Limiter parameters
-    this.threshold = DEFAULT_THRESHOLD;
-    this.currentGain = DEFAULT_INITIAL_GAIN;
-
-    // Attack/Release time constants
-    this.attackTime = DEFAULT_ATTACK_TIME;
-    this.releaseTime = DEFAULT_RELEASE_TIME;
-
-    // Calculate smoothing coefficients (exponential moving average)
-    // Coefficient = 1 - e^(-1 / (time * sampleRate))
-    this.attackCoeff = 1 - Math.exp(-1 / (this.attackTime * sampleRate));
-    this.releaseCoeff = 1 - Math.exp(-1 / (this.releaseTime * sampleRate));
-
-    // RMS calculation with sliding window
-    this.rmsWindowSize = Math.floor(sampleRate * DEFAULT_RMS_WINDOW);
-    this.rmsBuffer = new Float32Array(this.rmsWindowSize);
-    this.rmsBufferIndex = 0;
-    this.rmsSum = 0;
-
-    // Lookahead buffer for anticipatory limiting
-    // Analyzes future audio before output to eliminate lag-based pumping
-    this.lookaheadTime = DEFAULT_LOOKAHEAD_TIME;
-    this.lookaheadSize = Math.floor(sampleRate * this.lookaheadTime); // ~480 samples at 48kHz
-
-    // Support up to 2 channels (stereo)
-    this.maxChannels = MAX_CHANNELS;
-    this.lookaheadBuffers = [];
-    this.lookaheadIndices = [];
-    this.lookaheadFilled = [];
-
-    for (let ch = 0; ch < this.maxChannels; ch++) {
-      this.lookaheadBuffers[ch] = new Float32Array(this.lookaheadSize);
-      this.lookaheadIndices[ch] = 0;
-      this.lookaheadFilled[ch] = 0;
-    }
+    this.core = new LimiterCore(sampleRate);
+
+    // Metering reports are sent to the main thread once per interval
+    this.meterInterval = Math.floor(sampleRate / DEFAULT_METER_RATE);
+    this.inputLoudness = new LoudnessMeter(sampleRate);
+    this.outputLoudness = new LoudnessMeter(sampleRate);
 
     // Listen for parameter updates from main thread
     this.port.onmessage = (event) => {
-      if (event.data.type === 'updateParameters') {
-        if (event.data.threshold !== undefined) {
-          this.threshold = event.data.threshold;
-        }
-        if (event.data.attackTime !== undefined) {
-          this.attackTime = event.data.attackTime;
-          this.attackCoeff = 1 - Math.exp(-1 / (this.attackTime * sampleRate));
-        }
-        if (event.data.releaseTime !== undefined) {
-          this.releaseTime = event.data.releaseTime;
-          this.releaseCoeff = 1 - Math.exp(-1 / (this.releaseTime * sampleRate));
-        }
-        if (event.data.rmsWindow !== undefined) {
-          // Update RMS window size and reset buffer
-          const newWindowSize = Math.floor(sampleRate * event.data.rmsWindow);
-          if (newWindowSize !== this.rmsWindowSize) {
-            this.rmsWindowSize = newWindowSize;
-            this.rmsBuffer = new Float32Array(this.rmsWindowSize);
-            this.rmsBufferIndex = 0;
-            this.rmsSum = 0;
-          }
-        }
+      if (event.data.type === 'configureMetering') {
+        const rate = event.data.rate;
+        this.meterInterval = rate > 0 ? Math.max(1, Math.floor(sampleRate / rate)) : 0;
+        this.core.resetMeter();
+      } else if (event.data.type === 'resetLoudness') {
+        this.inputLoudness.reset();
+        this.outputLoudness.reset();
+      } else if (event.data.type === 'updateParameters') {
+        this.core.setParameters(event.data);
       }
     };
   }
 
   /**
-   * Calculate RMS (Root Mean Square) using a sliding window
-   * Provides perceived loudness measurement more accurate than peak detection
+   * Post the limiter's internal state to the main thread
+   * Reports the real gain applied instead of inferring it from analyser readings
    */
-  calculateRMS(sample) {
-    // Remove oldest sample from sum
-    this.rmsSum -= this.rmsBuffer[this.rmsBufferIndex] * this.rmsBuffer[this.rmsBufferIndex];
+  reportMeter() {
+    this.port.postMessage({
+      type: 'meter',
+      time: currentTime,
+      ...this.core.takeMeterReport(),
+      inputLoudness: this.inputLoudness.getValues(),
+      outputLoudness: this.outputLoudness.getValues(),
+    });
+  }
 
-    // Add new sample to buffer and sum
-    this.rmsBuffer[this.rmsBufferIndex] = sample;
-    this.rmsSum += sample * sample;
+  /**
+   * Post mic-spam state changes raised during the last block (always sent, even with metering off)
+   */
+  reportSpamEvents() {
+    this.core.takeSpamEvents().forEach(event => {
+      this.port.postMessage({
+        type: 'spam',
+        event: event.type,
+        time: currentTime + event.frame / sampleRate,
+        levelDb: event.levelDb,
+        severityDb: event.severityDb,
+        duration: event.duration,
+        policy: event.policy,
+      });
+    });
+  }
+
+  /**
+   * Post distortion flag changes raised during the last block (always sent, even with metering off)
+   */
+  reportDistortionEvents() {
+    this.core.takeDistortionEvents().forEach(event => {
+      this.port.postMessage({
+        type: 'distortion',
+        event: event.type,
+        time: currentTime + event.frame / sampleRate,
+        score: event.score,
+        peakScore: event.peakScore,
+        clipping: event.clipping,
+        flatness: event.flatness,
+        bass: event.bass,
+        duration: event.duration,
+      });
+    });
+  }
 
-    // Move to next buffer position (circular buffer)
-    this.rmsBufferIndex = (this.rmsBufferIndex + 1) % this.rmsWindowSize;
+  /**
+   * Forward k-rate AudioParam values to the core when they change
+   */
+  applyBlockParameters(parameters) {
+    LIMITER_PARAMETER_DESCRIPTORS.forEach(({ name, automationRate }) => {
+      if (automationRate !== 'k-rate') return;
 
-    // Calculate RMS
-    return Math.sqrt(this.rmsSum / this.rmsWindowSize);
+      const value = parameters[name][0];
+      if (value !== this.core[name]) {
+        this.core.setParameters({ [name]: value });
+      }
+    });
   }
 
   /**
@@ -118,67 +146,24 @@ class LimiterProcessor extends AudioWorkletProcessor {
       return true;
     }
 
-    // Process each channel (mono or stereo)
-    for (let channel = 0; channel < input.length; channel++) {
-      const inputChannel = input[channel];
-      const outputChannel = output[channel];
-
-      const lookaheadBuffer = this.lookaheadBuffers[channel];
-      let lookaheadIndex = this.lookaheadIndices[channel];
-      let filled = this.lookaheadFilled[channel];
-
-      // Process each sample in the block (128 samples)
-      for (let i = 0; i < inputChannel.length; i++) {
-        const sample = inputChannel[i];
-
-        // STEP 1: Write incoming sample to lookahead buffer
-        lookaheadBuffer[lookaheadIndex] = sample;
-
-        // STEP 2: Analyze current sample (the "future" audio)
-        const rms = this.calculateRMS(sample);
-        const db = rms > 0 ? 20 * Math.log10(rms) : MIN_DB_VALUE;
-
-        // Calculate target gain based on threshold
-        let targetGain;
-        if (db > this.threshold) {
-          const gainDb = this.threshold - db;
-          targetGain = Math.pow(10, gainDb / 20);
-        } else {
-          targetGain = DEFAULT_INITIAL_GAIN; // Unity gain when below threshold
-        }
-
-        // STEP 3: Smooth gain changes with attack/release envelope
-        // This prevents rapid gain jitter while lookahead prevents lag-based pumping
-        if (targetGain < this.currentGain) {
-          // Attack: fast gain reduction
-          this.currentGain += (targetGain - this.currentGain) * this.attackCoeff;
-        } else {
-          // Release: slow gain restoration
-          this.currentGain += (targetGain - this.currentGain) * this.releaseCoeff;
-        }
-
-        // STEP 4: Determine output sample
-        let outputSample;
-        if (filled < this.lookaheadSize) {
-          // Buffer still filling - output current sample with gain (no delay yet)
-          outputSample = sample * this.currentGain;
-          filled++;
-        } else {
-          // Buffer full - read oldest sample (lookahead delay is active)
-          // Apply gain calculated from "future" audio to delayed sample
-          const readIndex = (lookaheadIndex + 1) % this.lookaheadSize;
-          outputSample = lookaheadBuffer[readIndex] * this.currentGain;
-        }
-
-        outputChannel[i] = outputSample;
-
-        // STEP 5: Advance circular buffer index
-        lookaheadIndex = (lookaheadIndex + 1) % this.lookaheadSize;
-      }
+    this.applyBlockParameters(parameters);
+    this.core.process(input, output, parameters.threshold);
 
-      // Save channel state back
-      this.lookaheadIndices[channel] = lookaheadIndex;
-      this.lookaheadFilled[channel] = filled;
+    if (this.core.spamEvents.length > 0) {
+      this.reportSpamEvents();
+    }
+    if (this.core.distortionEvents.length > 0) {
+      this.reportDistortionEvents();
+    }
+
+    if (this.meterInterval > 0) {
+      this.inputLoudness.process(input);
+      this.outputLoudness.process(output);
+
+      // Send metering report once per interval (counted in frames)
+      if (this.core.meterSamples >= this.meterInterval) {
+        this.reportMeter();
+      }
     }
 
     return true;
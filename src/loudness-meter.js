@@ -0,0 +1,295 @@
+/**
+ * EBU R128 / ITU-R BS.1770 loudness meter
+ * K-weighted momentary (400ms), short-term (3s), gated integrated loudness and loudness range
+ * Framework-free like limiter-dsp.js: loaded into the AudioWorkletGlobalScope, the page or Node
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LoudnessDSP = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  const BLOCK_TIME = 0.1;                  // seconds - sub-block size (75% overlap for 400ms gating blocks)
+  const MOMENTARY_BLOCKS = 4;              // 400ms momentary window
+  const SHORT_TERM_BLOCKS = 30;            // 3s short-term window
+  const ABSOLUTE_GATE = -70;               // LUFS - absolute gating threshold
+  const RELATIVE_GATE = -10;               // LU - relative gate for integrated loudness
+  const LRA_RELATIVE_GATE = -20;           // LU - relative gate for loudness range
+  const LRA_LOW_PERCENTILE = 0.10;
+  const LRA_HIGH_PERCENTILE = 0.95;
+  const HISTOGRAM_MIN = ABSOLUTE_GATE;     // LUFS - lowest histogram bin
+  const HISTOGRAM_MAX = 5;                 // LUFS - highest histogram bin
+  const HISTOGRAM_STEP = 0.1;              // LU per bin
+  const LOUDNESS_OFFSET = -0.691;          // BS.1770 loudness offset
+
+  /**
+   * Convert a mean-square energy to loudness (LUFS)
+   */
+  function energyToLoudness(energy) {
+    return energy > 0 ? LOUDNESS_OFFSET + 10 * Math.log10(energy) : -Infinity;
+  }
+
+  /**
+   * Convert loudness (LUFS) back to mean-square energy
+   */
+  function loudnessToEnergy(loudness) {
+    return Math.pow(10, (loudness - LOUDNESS_OFFSET) / 10);
+  }
+
+  /**
+   * Direct form I biquad section
+   */
+  class Biquad {
+    constructor(b0, b1, b2, a1, a2) {
+      this.b0 = b0;
+      this.b1 = b1;
+      this.b2 = b2;
+      this.a1 = a1;
+      this.a2 = a2;
+      this.x1 = 0;
+      this.x2 = 0;
+      this.y1 = 0;
+      this.y2 = 0;
+    }
+
+    process(x) {
+      const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+      this.x2 = this.x1;
+      this.x1 = x;
+      this.y2 = this.y1;
+      this.y1 = y;
+      return y;
+    }
+  }
+
+  /**
+   * K-weighting filter: high-shelf pre-filter followed by the RLB high-pass
+   * Coefficients are derived for any sample rate (matching the 48kHz tables in BS.1770)
+   */
+  class KWeightingFilter {
+    constructor(sampleRate) {
+      // Stage 1: high shelf (+4 dB above ~1.5kHz, models the head)
+      let f0 = 1681.974450955533;
+      const gain = 3.999843853973347;
+      let q = 0.7071752369554196;
+      let k = Math.tan(Math.PI * f0 / sampleRate);
+      const vh = Math.pow(10, gain / 20);
+      const vb = Math.pow(vh, 0.4996667741545416);
+      let a0 = 1 + k / q + k * k;
+      this.shelf = new Biquad(
+        (vh + vb * k / q + k * k) / a0,
+        2 * (k * k - vh) / a0,
+        (vh - vb * k / q + k * k) / a0,
+        2 * (k * k - 1) / a0,
+        (1 - k / q + k * k) / a0
+      );
+
+      // Stage 2: RLB high-pass (~38 Hz)
+      f0 = 38.13547087602444;
+      q = 0.5003270373238773;
+      k = Math.tan(Math.PI * f0 / sampleRate);
+      a0 = 1 + k / q + k * k;
+      this.highPass = new Biquad(
+        1, -2, 1,
+        2 * (k * k - 1) / a0,
+        (1 - k / q + k * k) / a0
+      );
+    }
+
+    process(sample) {
+      return this.highPass.process(this.shelf.process(sample));
+    }
+  }
+
+  /**
+   * Loudness histogram (0.1 LU bins) so integrated loudness and LRA
+   * can be computed over arbitrarily long sessions in constant memory
+   */
+  class LoudnessHistogram {
+    constructor() {
+      const bins = Math.round((HISTOGRAM_MAX - HISTOGRAM_MIN) / HISTOGRAM_STEP) + 1;
+      this.counts = new Float64Array(bins);
+      this.energies = new Float64Array(bins);
+      this.total = 0;
+    }
+
+    add(loudness, energy) {
+      if (!(loudness >= ABSOLUTE_GATE)) return;
+
+      const bin = Math.min(this.counts.length - 1, Math.floor((loudness - HISTOGRAM_MIN) / HISTOGRAM_STEP));
+      this.counts[bin]++;
+      this.energies[bin] += energy;
+      this.total++;
+    }
+
+    binLoudness(bin) {
+      return HISTOGRAM_MIN + bin * HISTOGRAM_STEP;
+    }
+
+    /**
+     * Mean energy of all entries at or above a loudness gate
+     */
+    gatedMeanEnergy(gate) {
+      let count = 0;
+      let energy = 0;
+      for (let bin = 0; bin < this.counts.length; bin++) {
+        if (this.binLoudness(bin) + HISTOGRAM_STEP <= gate) continue;
+        count += this.counts[bin];
+        energy += this.energies[bin];
+      }
+      return count > 0 ? energy / count : 0;
+    }
+
+    /**
+     * Loudness value at a percentile of the entries at or above a gate
+     */
+    percentile(fraction, gate) {
+      let count = 0;
+      const firstBin = Math.max(0, Math.floor((gate - HISTOGRAM_MIN) / HISTOGRAM_STEP));
+      for (let bin = firstBin; bin < this.counts.length; bin++) {
+        count += this.counts[bin];
+      }
+      if (count === 0) return -Infinity;
+
+      const target = fraction * (count - 1);
+      let seen = 0;
+      for (let bin = firstBin; bin < this.counts.length; bin++) {
+        seen += this.counts[bin];
+        if (seen > target) return this.binLoudness(bin);
+      }
+      return this.binLoudness(this.counts.length - 1);
+    }
+  }
+
+  /**
+   * Multichannel loudness meter
+   * Call process() with blocks of channel data; read momentary/shortTerm/integrated/range
+   */
+  class LoudnessMeter {
+    constructor(sampleRate) {
+      this.sampleRate = sampleRate;
+      this.blockSize = Math.round(sampleRate * BLOCK_TIME);
+      this.filters = [];
+      this.reset();
+    }
+
+    /**
+     * Clear all measurements (starts a new integrated/LRA measurement)
+     */
+    reset() {
+      this.filters.length = 0;
+      this.blockEnergy = 0;
+      this.blockSamples = 0;
+      this.recentBlocks = new Float64Array(SHORT_TERM_BLOCKS);
+      this.recentIndex = 0;
+      this.recentCount = 0;
+      this.gatingHistogram = new LoudnessHistogram();
+      this.shortTermHistogram = new LoudnessHistogram();
+
+      this.momentary = -Infinity;
+      this.shortTerm = -Infinity;
+      this.integrated = -Infinity;
+      this.range = 0;
+    }
+
+    /**
+     * Process one block of audio (array of Float32Array channels)
+     */
+    process(channels) {
+      const numChannels = channels.length;
+      if (numChannels === 0) return;
+
+      while (this.filters.length < numChannels) {
+        this.filters.push(new KWeightingFilter(this.sampleRate));
+      }
+
+      const length = channels[0].length;
+      for (let i = 0; i < length; i++) {
+        // Sum of per-channel K-weighted energy (front channels have unity weighting)
+        for (let ch = 0; ch < numChannels; ch++) {
+          const weighted = this.filters[ch].process(channels[ch][i]);
+          this.blockEnergy += weighted * weighted;
+        }
+
+        this.blockSamples++;
+        if (this.blockSamples >= this.blockSize) {
+          this.completeBlock(this.blockEnergy / this.blockSamples);
+          this.blockEnergy = 0;
+          this.blockSamples = 0;
+        }
+      }
+    }
+
+    /**
+     * Average of the most recent sub-blocks
+     */
+    windowEnergy(blocks) {
+      const count = Math.min(blocks, this.recentCount);
+      let sum = 0;
+      for (let i = 1; i <= count; i++) {
+        sum += this.recentBlocks[(this.recentIndex - i + SHORT_TERM_BLOCKS) % SHORT_TERM_BLOCKS];
+      }
+      return count > 0 ? sum / count : 0;
+    }
+
+    /**
+     * Update all measurements after each 100ms sub-block
+     */
+    completeBlock(energy) {
+      this.recentBlocks[this.recentIndex] = energy;
+      this.recentIndex = (this.recentIndex + 1) % SHORT_TERM_BLOCKS;
+      this.recentCount = Math.min(this.recentCount + 1, SHORT_TERM_BLOCKS);
+
+      // Momentary (400ms gating block, 75% overlap) feeds integrated loudness
+      if (this.recentCount >= MOMENTARY_BLOCKS) {
+        const momentaryEnergy = this.windowEnergy(MOMENTARY_BLOCKS);
+        this.momentary = energyToLoudness(momentaryEnergy);
+        this.gatingHistogram.add(this.momentary, momentaryEnergy);
+
+        const ungated = this.gatingHistogram.gatedMeanEnergy(ABSOLUTE_GATE);
+        if (ungated > 0) {
+          const relativeGate = energyToLoudness(ungated) + RELATIVE_GATE;
+          this.integrated = energyToLoudness(
+            this.gatingHistogram.gatedMeanEnergy(Math.max(ABSOLUTE_GATE, relativeGate))
+          );
+        }
+      }
+
+      // Short-term (3s) feeds loudness range
+      if (this.recentCount >= SHORT_TERM_BLOCKS) {
+        const shortTermEnergy = this.windowEnergy(SHORT_TERM_BLOCKS);
+        this.shortTerm = energyToLoudness(shortTermEnergy);
+        this.shortTermHistogram.add(this.shortTerm, shortTermEnergy);
+
+        const ungated = this.shortTermHistogram.gatedMeanEnergy(ABSOLUTE_GATE);
+        if (ungated > 0) {
+          const gate = Math.max(ABSOLUTE_GATE, energyToLoudness(ungated) + LRA_RELATIVE_GATE);
+          this.range = this.shortTermHistogram.percentile(LRA_HIGH_PERCENTILE, gate)
+            - this.shortTermHistogram.percentile(LRA_LOW_PERCENTILE, gate);
+        }
+      }
+    }
+
+    /**
+     * Snapshot of the current measurements (LUFS / LU)
+     */
+    getValues() {
+      return {
+        momentary: this.momentary,
+        shortTerm: this.shortTerm,
+        integrated: this.integrated,
+        range: this.range,
+      };
+    }
+  }
+
+  return {
+    ABSOLUTE_GATE,
+    energyToLoudness,
+    loudnessToEnergy,
+    Biquad,
+    KWeightingFilter,
+    LoudnessMeter,
+  };
+});
@@ -0,0 +1,135 @@
+/**
+ * Live microphone input for the normalizer
+ * Enumerates audio input devices, opens them with getUserMedia and follows device changes
+ */
+const MICROPHONE_CONSTRAINTS = {
+  echoCancellation: false,   // Browser voice processing would mask what the limiter does
+  noiseSuppression: false,
+  autoGainControl: false,
+};
+
+class MicrophoneInput extends EventTarget {
+  constructor(audioContext) {
+    super();
+
+    this.audioCtx = audioContext;
+    this.stream = null;
+    this.sourceNode = null;
+    this.deviceId = null;
+    this.devices = [];
+
+    // Callbacks
+    this.onDevicesChange = null;  // (devices) when microphones are plugged in or removed
+    this.onSourceChange = null;   // (sourceNode) when the open microphone was replaced
+
+    this.handleDeviceChange = () => this.refreshDevices();
+  }
+
+  /**
+   * List audio input devices (labels are empty until microphone permission is granted)
+   */
+  async listDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter(device => device.kind === 'audioinput');
+  }
+
+  /**
+   * Open a microphone (null = system default) and return its source node
+   * The previously open microphone is released once the new one is running
+   */
+  async open(deviceId = null) {
+    const audio = { ...MICROPHONE_CONSTRAINTS };
+    if (deviceId) {
+      audio.deviceId = { exact: deviceId };
+    }
+
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: audio });
+    this.releaseStream();
+
+    const track = stream.getAudioTracks()[0];
+    this.stream = stream;
+    this.deviceId = (track && track.getSettings().deviceId) || deviceId;
+    this.sourceNode = new MediaStreamAudioSourceNode(this.audioCtx, { mediaStream: stream });
+
+    // Adding the same listener twice is a no-op
+    navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+    this.devices = await this.listDevices();
+
+    return this.sourceNode;
+  }
+
+  /**
+   * Re-read the device list and move to the default microphone if the open one disappeared
+   */
+  async refreshDevices() {
+    try {
+      this.devices = await this.listDevices();
+    } catch (error) {
+      this.reportError(error, 'devices');
+      return;
+    }
+
+    if (this.onDevicesChange) {
+      this.onDevicesChange(this.devices);
+    }
+
+    if (!this.stream || this.devices.some(device => device.deviceId === this.deviceId)) {
+      return;
+    }
+
+    try {
+      const sourceNode = await this.open();
+      if (this.onSourceChange) {
+        this.onSourceChange(sourceNode);
+      }
+    } catch (error) {
+      this.reportError(error, 'switch');
+    }
+  }
+
+  /**
+   * Dispatch a CustomEvent carrying detail
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Dispatch an 'error' event and return the error (for throwing)
+   */
+  reportError(error, phase) {
+    this.emit('error', { error, phase });
+    return error;
+  }
+
+  /**
+   * Stop the current stream and disconnect its source node
+   */
+  releaseStream() {
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+
+    if (this.sourceNode) {
+      this.sourceNode.disconnect();
+      this.sourceNode = null;
+    }
+
+    this.deviceId = null;
+  }
+
+  /**
+   * Release the microphone and stop following device changes
+   */
+  close() {
+    this.releaseStream();
+    navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+  }
+}
+
+// ES module / CommonJS consumers (see index.mjs); classic <script> pages use the global class
+globalThis.MicrophoneInput = MicrophoneInput;
+if (typeof module === 'object' && module.exports) {
+  module.exports = { MicrophoneInput };
+}
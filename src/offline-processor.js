@@ -0,0 +1,170 @@
+/**
+ * Offline batch processing through the same limiter worklet
+ * Renders decoded files in an OfflineAudioContext (faster than real time) and exports WAV
+ */
+const OFFLINE_SAMPLE_RATE = 48000;
+const ANALYSIS_BLOCK_TIME = 0.010;          // seconds - block size for reduction summary
+const ANALYSIS_SILENCE_DB = -60;            // Blocks quieter than this are ignored
+const ANALYSIS_LIMITED_DB = 0.5;            // Reduction above this counts as "limited"
+
+class OfflineBatchProcessor {
+  constructor({ sampleRate = OFFLINE_SAMPLE_RATE } = {}) {
+    this.sampleRate = sampleRate;
+  }
+
+  /**
+   * Decode an audio File/Blob into an AudioBuffer at the processing sample rate
+   */
+  async decodeFile(file) {
+    const data = await file.arrayBuffer();
+    const decodeCtx = new OfflineAudioContext(1, 1, this.sampleRate);
+    return decodeCtx.decodeAudioData(data);
+  }
+
+  /**
+   * Render an AudioBuffer through the limiter worklet with the given parameters
+   * Returns a time-aligned processed AudioBuffer (lookahead delay removed)
+   */
+  async renderBuffer(inputBuffer, params = {}) {
+    const numChannels = inputBuffer.numberOfChannels;
+
+    const normalizer = new VoiceVolumeNormalizer(params.threshold);
+    normalizer.updateParameters(params);
+    normalizer.setMeterRate(0);
+
+    const delaySamples = normalizer.getLatency(this.sampleRate).samples;
+
+    // Render with the file's own channel layout plus the lookahead tail
+    const offlineCtx = new OfflineAudioContext(
+      numChannels,
+      inputBuffer.length + delaySamples,
+      this.sampleRate
+    );
+
+    await normalizer.initialize(offlineCtx, { channelCount: numChannels });
+
+    const sourceNode = new AudioBufferSourceNode(offlineCtx, { buffer: inputBuffer });
+    normalizer.enable(sourceNode, offlineCtx.destination);
+    sourceNode.start();
+
+    const rendered = await offlineCtx.startRendering();
+    normalizer.destroy();
+
+    // Trim the lookahead delay so output lines up with the input
+    const outputBuffer = new AudioBuffer({
+      numberOfChannels: numChannels,
+      length: inputBuffer.length,
+      sampleRate: this.sampleRate,
+    });
+    for (let ch = 0; ch < numChannels; ch++) {
+      outputBuffer.copyToChannel(
+        rendered.getChannelData(ch).subarray(delaySamples, delaySamples + inputBuffer.length),
+        ch
+      );
+    }
+
+    return outputBuffer;
+  }
+
+  /**
+   * Summarize the gain reduction applied by comparing input and output block levels
+   */
+  analyzeReduction(inputBuffer, outputBuffer) {
+    const blockSize = Math.max(1, Math.floor(this.sampleRate * ANALYSIS_BLOCK_TIME));
+    const numChannels = outputBuffer.numberOfChannels;
+    const toDb = (value) => 20 * Math.log10(value || 1e-5);
+
+    let inputPeak = 0;
+    let outputPeak = 0;
+    let activeBlocks = 0;
+    let limitedBlocks = 0;
+    let reductionSum = 0;
+    let maxReductionDb = 0;
+
+    for (let start = 0; start < outputBuffer.length; start += blockSize) {
+      const end = Math.min(start + blockSize, outputBuffer.length);
+      let inputSquares = 0;
+      let outputSquares = 0;
+
+      for (let ch = 0; ch < numChannels; ch++) {
+        const inputData = inputBuffer.getChannelData(ch);
+        const outputData = outputBuffer.getChannelData(ch);
+
+        for (let i = start; i < end; i++) {
+          inputSquares += inputData[i] * inputData[i];
+          outputSquares += outputData[i] * outputData[i];
+          inputPeak = Math.max(inputPeak, Math.abs(inputData[i]));
+          outputPeak = Math.max(outputPeak, Math.abs(outputData[i]));
+        }
+      }
+
+      const count = (end - start) * numChannels;
+      const inputDb = toDb(Math.sqrt(inputSquares / count));
+      if (inputDb < ANALYSIS_SILENCE_DB) continue;
+
+      const reductionDb = Math.max(0, inputDb - toDb(Math.sqrt(outputSquares / count)));
+      activeBlocks++;
+      reductionSum += reductionDb;
+      maxReductionDb = Math.max(maxReductionDb, reductionDb);
+      if (reductionDb > ANALYSIS_LIMITED_DB) {
+        limitedBlocks++;
+      }
+    }
+
+    return {
+      duration: outputBuffer.duration,
+      sampleRate: outputBuffer.sampleRate,
+      channels: numChannels,
+      inputPeakDb: toDb(inputPeak),
+      outputPeakDb: toDb(outputPeak),
+      maxReductionDb: maxReductionDb,
+      averageReductionDb: activeBlocks > 0 ? reductionSum / activeBlocks : 0,
+      limitedPercent: activeBlocks > 0 ? (limitedBlocks / activeBlocks) * 100 : 0,
+    };
+  }
+
+  /**
+   * Decode, process and encode a single file
+   */
+  async processFile(file, params = {}, format = 'int16') {
+    const inputBuffer = await this.decodeFile(file);
+    const outputBuffer = await this.renderBuffer(inputBuffer, params);
+
+    return {
+      name: file.name,
+      outputName: file.name.replace(/\.[^.]+$/, '') + '-normalized.wav',
+      wavBlob: WavEncoder.encodeAudioBuffer(outputBuffer, format),
+      summary: this.analyzeReduction(inputBuffer, outputBuffer),
+    };
+  }
+
+  /**
+   * Process several files sequentially
+   * onProgress(index, total, result) is called after each file; failures are reported per file
+   */
+  async processBatch(files, params = {}, format = 'int16', onProgress = null) {
+    const results = [];
+
+    for (let i = 0; i < files.length; i++) {
+      let result;
+      try {
+        result = await this.processFile(files[i], params, format);
+      } catch (error) {
+        result = { name: files[i].name, error: error };
+      }
+
+      results.push(result);
+      if (onProgress) {
+        onProgress(i, files.length, result);
+      }
+    }
+
+    return results;
+  }
+}
+
+// ES module / CommonJS consumers (see index.mjs); classic <script> pages use the global class
+globalThis.OfflineBatchProcessor = OfflineBatchProcessor;
+if (typeof module === 'object' && module.exports) {
+  module.exports = { OfflineBatchProcessor };
+}
@@ -0,0 +1,239 @@
+/**
+ * Per-participant normalization manager for multi-speaker voice chat
+ * Runs one VoiceVolumeNormalizer chain per remote speaker on a shared AudioContext
+ *
+ * Architecture:
+ *   Participant A stream → Limiter A ┐
+ *   Participant B stream → Limiter B ┼→ Mix Bus (GainNode) → Destination
+ *   Participant C stream → Limiter C ┘
+ */
+class ParticipantNormalizerManager {
+  constructor({ audioContext = null, destination = null, defaults = {} } = {}) {
+    this.audioCtx = audioContext;
+    this.ownsAudioContext = !audioContext;
+    this.destinationNode = destination;
+    this.busNode = null;
+
+    // Global default parameters, applied to every participant unless overridden
+    this.defaults = { ...DEFAULT_NORMALIZER_PARAMETERS, ...defaults };
+
+    // participantId → { stream, sourceNode, normalizer, overrides }
+    this.participants = new Map();
+
+    // Mic-spam and distortion events from any participant: (participantId, event)
+    this.onParticipantSpam = null;
+    this.onParticipantDistortion = null;
+  }
+
+  /**
+   * Create the shared audio context (if not provided) and the common mix bus
+   */
+  async initialize() {
+    if (this.busNode) return;
+
+    if (!this.audioCtx) {
+      this.audioCtx = new AudioContext();
+    }
+
+    this.busNode = new GainNode(this.audioCtx, { gain: 1.0 });
+    this.busNode.connect(this.destinationNode || this.audioCtx.destination);
+  }
+
+  /**
+   * Add a participant and start normalizing their audio
+   * Accepts either a MediaStream or a single audio MediaStreamTrack
+   */
+  async addParticipant(participantId, streamOrTrack, overrides = {}) {
+    if (!this.busNode) {
+      await this.initialize();
+    }
+
+    if (this.participants.has(participantId)) {
+      this.removeParticipant(participantId);
+    }
+
+    const stream = streamOrTrack instanceof MediaStream
+      ? streamOrTrack
+      : new MediaStream([streamOrTrack]);
+
+    const params = { ...this.defaults, ...overrides };
+    const normalizer = new VoiceVolumeNormalizer(params.threshold);
+    normalizer.updateParameters(params);
+    normalizer.onSpam = (event) => {
+      if (this.onParticipantSpam) {
+        this.onParticipantSpam(participantId, event);
+      }
+    };
+    normalizer.onDistortion = (event) => {
+      if (this.onParticipantDistortion) {
+        this.onParticipantDistortion(participantId, event);
+      }
+    };
+
+    const entry = {
+      stream: stream,
+      sourceNode: this.audioCtx.createMediaStreamSource(stream),
+      normalizer: normalizer,
+      overrides: { ...overrides },
+    };
+    this.participants.set(participantId, entry);
+
+    try {
+      await normalizer.initialize(this.audioCtx);
+    } catch (error) {
+      // The normalizer has dispatched its own 'error' event; the caller gets the rejection
+      if (this.participants.get(participantId) === entry) {
+        this.participants.delete(participantId);
+      }
+      this.teardownEntry(entry);
+      throw error;
+    }
+
+    // Participant may have left (or been replaced) while the worklet was loading
+    if (this.participants.get(participantId) !== entry) {
+      this.teardownEntry(entry);
+      return null;
+    }
+
+    normalizer.enable(entry.sourceNode, this.busNode);
+    return normalizer;
+  }
+
+  /**
+   * Remove a participant and tear down their limiter chain
+   */
+  removeParticipant(participantId) {
+    const entry = this.participants.get(participantId);
+    if (!entry) return;
+
+    this.participants.delete(participantId);
+    this.teardownEntry(entry);
+  }
+
+  /**
+   * Disconnect and destroy a single participant chain
+   */
+  teardownEntry(entry) {
+    entry.normalizer.destroy();
+
+    // Disabling reconnects the source directly (bypass), so drop that link too
+    try {
+      entry.sourceNode.disconnect();
+    } catch (e) {
+      // Ignore if already disconnected
+    }
+  }
+
+  /**
+   * Update global default parameters for all participants
+   * Participant-specific overrides still take precedence
+   */
+  updateParameters(params = {}) {
+    Object.keys(params).forEach(key => {
+      if (params[key] !== undefined) {
+        this.defaults[key] = params[key];
+      }
+    });
+
+    this.participants.forEach(entry => this.applyParameters(entry));
+  }
+
+  /**
+   * Set parameter overrides for a single participant (merged with existing overrides)
+   */
+  updateParticipantParameters(participantId, overrides = {}) {
+    const entry = this.participants.get(participantId);
+    if (!entry) return;
+
+    Object.keys(overrides).forEach(key => {
+      if (overrides[key] === undefined) {
+        delete entry.overrides[key];
+      } else {
+        entry.overrides[key] = overrides[key];
+      }
+    });
+
+    this.applyParameters(entry);
+  }
+
+  /**
+   * Drop all overrides for a participant so they follow the global defaults again
+   */
+  clearParticipantParameters(participantId) {
+    const entry = this.participants.get(participantId);
+    if (!entry) return;
+
+    entry.overrides = {};
+    this.applyParameters(entry);
+  }
+
+  /**
+   * Push the effective (defaults + overrides) parameter set to a participant's normalizer
+   */
+  applyParameters(entry) {
+    entry.normalizer.updateParameters({ ...this.defaults, ...entry.overrides });
+  }
+
+  /**
+   * IDs of participants currently flagged as mic spammers
+   */
+  getSpammingParticipantIds() {
+    return this.getParticipantIds().filter(id => this.participants.get(id).normalizer.spamActive);
+  }
+
+  /**
+   * IDs of participants whose input is currently flagged as distorted
+   */
+  getDistortedParticipantIds() {
+    return this.getParticipantIds().filter(id => this.participants.get(id).normalizer.distortionActive);
+  }
+
+  /**
+   * Get the normalizer for a participant (e.g. to attach a visualizer)
+   */
+  getNormalizer(participantId) {
+    const entry = this.participants.get(participantId);
+    return entry ? entry.normalizer : null;
+  }
+
+  /**
+   * Get the effective parameters for a participant
+   */
+  getParticipantParameters(participantId) {
+    const entry = this.participants.get(participantId);
+    return entry ? { ...this.defaults, ...entry.overrides } : null;
+  }
+
+  /**
+   * List all current participant IDs
+   */
+  getParticipantIds() {
+    return Array.from(this.participants.keys());
+  }
+
+  /**
+   * Remove every participant and release the mix bus (and owned audio context)
+   * Resolves once an owned audio context has closed, and rejects if closing it failed
+   */
+  async destroy() {
+    this.getParticipantIds().forEach(id => this.removeParticipant(id));
+
+    if (this.busNode) {
+      this.busNode.disconnect();
+      this.busNode = null;
+    }
+
+    const audioCtx = this.ownsAudioContext ? this.audioCtx : null;
+    this.audioCtx = null;
+
+    if (audioCtx && audioCtx.state !== 'closed') {
+      await audioCtx.close();
+    }
+  }
+}
+
+// ES module / CommonJS consumers (see index.mjs); classic <script> pages use the global class
+globalThis.ParticipantNormalizerManager = ParticipantNormalizerManager;
+if (typeof module === 'object' && module.exports) {
+  module.exports = { ParticipantNormalizerManager };
+}
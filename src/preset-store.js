@@ -0,0 +1,245 @@
+/**
+ * Named parameter presets
+ * Built-in presets plus user presets kept in localStorage, JSON import/export
+ * and URL hash encoding so a configuration can be shared as a link
+ *
+ * Presets hold user-facing parameters (dB / ms), the same shape as DEFAULT_NORMALIZER_PARAMETERS.
+ * Missing values fall back to the defaults, so every preset is a complete configuration.
+ */
+const PRESET_STORAGE_KEY = 'voiceVolumeNormalizer.presets';
+const PRESET_EXPORT_VERSION = 1;
+
+const BUILTIN_PRESETS = {
+  'Default': {},
+  'Gentle': {
+    threshold: -24,
+    attackTime: 25,
+    releaseTime: 200,
+    rmsWindow: 10,
+    gainMode: 'compress',
+    ratio: 3,
+    kneeWidth: 10,
+  },
+  'Anti-mic-spam': {
+    threshold: -24,
+    attackTime: 5,
+    releaseTime: 60,
+    rmsWindow: 3,
+    detectorMode: 'peak',
+    lookaheadTime: 5,
+  },
+  'Broadcast': {
+    threshold: -6,
+    attackTime: 10,
+    releaseTime: 150,
+    detectorMode: 'truePeak',
+    lookaheadTime: 20,
+    agcEnabled: true,
+    agcTarget: -23,
+  },
+};
+
+class PresetStore {
+  constructor(storage = globalThis.localStorage || null) {
+    this.storage = storage;
+    this.userPresets = this.load();
+  }
+
+  /**
+   * Keep only known parameters with the same type as their default, filled up with defaults
+   * Numbers are clamped to NORMALIZER_PARAMETER_RANGES and strings must be one of
+   * NORMALIZER_PARAMETER_OPTIONS, so a preset or shared link cannot drive the DSP out of range
+   */
+  static sanitize(params = {}) {
+    const clean = { ...DEFAULT_NORMALIZER_PARAMETERS };
+
+    Object.keys(DEFAULT_NORMALIZER_PARAMETERS).forEach(name => {
+      const value = params[name];
+      const expected = typeof DEFAULT_NORMALIZER_PARAMETERS[name];
+
+      if (expected === 'number' && Number.isFinite(value)) {
+        const [min, max] = NORMALIZER_PARAMETER_RANGES[name] || [-Infinity, Infinity];
+        clean[name] = Math.max(min, Math.min(max, value));
+      } else if (expected === 'string' && typeof value === 'string') {
+        const options = NORMALIZER_PARAMETER_OPTIONS[name];
+        if (!options || options.includes(value)) {
+          clean[name] = value;
+        }
+      } else if (expected === 'boolean' && typeof value === 'boolean') {
+        clean[name] = value;
+      }
+    });
+
+    return clean;
+  }
+
+  /**
+   * Encode parameters as a URL hash, e.g. "#threshold=-20&attackTime=15&..."
+   */
+  static toHash(params) {
+    const search = new URLSearchParams();
+    const clean = PresetStore.sanitize(params);
+
+    Object.keys(clean).forEach(name => {
+      search.set(name, String(clean[name]));
+    });
+
+    return '#' + search.toString();
+  }
+
+  /**
+   * Decode parameters from a URL hash; returns null if the hash holds no parameters
+   */
+  static fromHash(hash) {
+    const search = new URLSearchParams(hash.replace(/^#/, ''));
+    const params = {};
+
+    Object.keys(DEFAULT_NORMALIZER_PARAMETERS).forEach(name => {
+      if (!search.has(name)) return;
+
+      const raw = search.get(name);
+      const expected = typeof DEFAULT_NORMALIZER_PARAMETERS[name];
+      if (expected === 'number') {
+        params[name] = parseFloat(raw);
+      } else if (expected === 'boolean') {
+        params[name] = raw === 'true';
+      } else {
+        params[name] = raw;
+      }
+    });
+
+    return Object.keys(params).length > 0 ? PresetStore.sanitize(params) : null;
+  }
+
+  /**
+   * True for a plain parameter object (not null, an array or a primitive)
+   */
+  static isPresetObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Sanitized copies of the valid entries of a name -> parameters object
+   * Entries that are not objects, empty names and built-in names are skipped one at a time.
+   * The result has no prototype, so names like "__proto__" or "constructor" are ordinary keys.
+   */
+  static readPresets(source) {
+    const presets = Object.create(null);
+    if (!PresetStore.isPresetObject(source)) return presets;
+
+    Object.keys(source).forEach(name => {
+      if (!name.trim() || Object.prototype.hasOwnProperty.call(BUILTIN_PRESETS, name)) return;
+      if (!PresetStore.isPresetObject(source[name])) return;
+
+      presets[name] = PresetStore.sanitize(source[name]);
+    });
+    return presets;
+  }
+
+  /**
+   * Read user presets from storage (corrupt data is ignored)
+   */
+  load() {
+    if (!this.storage) return Object.create(null);
+
+    try {
+      return PresetStore.readPresets(JSON.parse(this.storage.getItem(PRESET_STORAGE_KEY) || '{}'));
+    } catch (error) {
+      console.error('[Presets] Failed to read stored presets:', error);
+      return Object.create(null);
+    }
+  }
+
+  /**
+   * Write user presets to storage
+   */
+  persist() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(PRESET_STORAGE_KEY, JSON.stringify(this.userPresets));
+    } catch (error) {
+      console.error('[Presets] Failed to store presets:', error);
+    }
+  }
+
+  /**
+   * Names of all presets, built-in first
+   */
+  getNames() {
+    return [...Object.keys(BUILTIN_PRESETS), ...Object.keys(this.userPresets)];
+  }
+
+  isBuiltin(name) {
+    return Object.prototype.hasOwnProperty.call(BUILTIN_PRESETS, name);
+  }
+
+  /**
+   * Complete parameter set for a preset, or null if it does not exist
+   */
+  get(name) {
+    if (this.isBuiltin(name)) {
+      return PresetStore.sanitize(BUILTIN_PRESETS[name]);
+    }
+    return this.userPresets[name] ? { ...this.userPresets[name] } : null;
+  }
+
+  /**
+   * Save (or overwrite) a user preset - built-in presets cannot be replaced
+   */
+  save(name, params) {
+    name = String(name).trim();
+    if (!name || this.isBuiltin(name)) {
+      throw new Error(`Invalid preset name: ${name || '(empty)'}`);
+    }
+
+    this.userPresets[name] = PresetStore.sanitize(params);
+    this.persist();
+  }
+
+  /**
+   * Delete a user preset
+   */
+  remove(name) {
+    if (!this.userPresets[name]) return;
+
+    delete this.userPresets[name];
+    this.persist();
+  }
+
+  /**
+   * Export user presets as JSON
+   */
+  exportJson() {
+    return JSON.stringify({
+      version: PRESET_EXPORT_VERSION,
+      presets: this.userPresets,
+    }, null, 2);
+  }
+
+  /**
+   * Import presets from exported JSON (existing presets with the same name are replaced)
+   * Returns the imported preset names; entries that are not parameter objects are skipped
+   */
+  importJson(json) {
+    const data = JSON.parse(json);
+    if (!data || typeof data.presets !== 'object' || data.presets === null) {
+      throw new Error('Not a preset export file');
+    }
+
+    const presets = PresetStore.readPresets(data.presets);
+    const imported = Object.keys(presets);
+    imported.forEach(name => {
+      this.userPresets[name] = presets[name];
+    });
+
+    this.persist();
+    return imported;
+  }
+}
+
+// ES module / CommonJS consumers; classic <script> pages use the globals above
+globalThis.PresetStore = PresetStore;
+if (typeof module === 'object' && module.exports) {
+  module.exports = { PresetStore, BUILTIN_PRESETS };
+}
@@ -0,0 +1,227 @@
+/**
+ * Frequency views for the visualizer: a scrolling spectrogram and an input/output spectrum overlay
+ * Both read the visualizer's analysers (getFloatFrequencyData) on a logarithmic frequency axis.
+ */
+const SPECTRUM_MIN_FREQUENCY = 50;       // Hz - bottom / left edge of the frequency axis
+const SPECTRUM_MAX_FREQUENCY = 16000;    // Hz - top / right edge (limited to Nyquist)
+const SPECTRUM_MIN_DB = -100;            // dBFS mapped to the bottom of the scale
+const SPECTRUM_MAX_DB = -10;             // dBFS mapped to the top of the scale
+const SPECTRUM_AVERAGING = 0.8;          // Per-frame smoothing of the overlay curves (0 = none)
+const SPECTRUM_GRID_FREQUENCIES = [100, 200, 500, 1000, 2000, 5000, 10000];
+const SPECTROGRAM_REDUCTION_STRIP = 4;   // px - gain reduction strip along the top of the spectrogram
+const SPECTROGRAM_REDUCTION_RANGE = 12;  // dB of gain reduction shown as full red
+
+/**
+ * Spectrogram colour for a 0..1 level: black → blue → magenta → orange → yellow
+ */
+function spectrogramColor(level) {
+  const stops = [[0, 0, 0], [30, 30, 140], [170, 30, 150], [250, 120, 30], [255, 240, 120]];
+  const position = Math.max(0, Math.min(1, level)) * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  const fraction = position - index;
+  return stops[index].map((channel, i) => Math.round(channel + (stops[index + 1][i] - channel) * fraction));
+}
+
+class SpectrumView {
+  constructor(spectrogramCanvas, spectrumCanvas) {
+    this.spectrogramCanvas = spectrogramCanvas;
+    this.spectrumCanvas = spectrumCanvas;
+    this.spectrogramContext = spectrogramCanvas.getContext('2d');
+    this.spectrumContext = spectrumCanvas.getContext('2d');
+
+    // Which signal the spectrogram shows: 'input' (what drives the limiter) or 'output'
+    this.spectrogramSource = 'input';
+
+    this.inputData = null;
+    this.outputData = null;
+    this.inputAverage = null;
+    this.outputAverage = null;
+    this.palette = Array.from({ length: 256 }, (_, i) => spectrogramColor(i / 255));
+  }
+
+  /**
+   * Frequency (Hz) at a 0..1 position along the log axis
+   */
+  frequencyAt(position, nyquist) {
+    const maxFrequency = Math.min(SPECTRUM_MAX_FREQUENCY, nyquist);
+    return SPECTRUM_MIN_FREQUENCY * Math.pow(maxFrequency / SPECTRUM_MIN_FREQUENCY, position);
+  }
+
+  /**
+   * Position (0..1) of a frequency along the log axis
+   */
+  positionOf(frequency, nyquist) {
+    const maxFrequency = Math.min(SPECTRUM_MAX_FREQUENCY, nyquist);
+    return Math.log(frequency / SPECTRUM_MIN_FREQUENCY) / Math.log(maxFrequency / SPECTRUM_MIN_FREQUENCY);
+  }
+
+  /**
+   * Level (dB) at a frequency, interpolated between FFT bins
+   */
+  levelAt(data, frequency, nyquist) {
+    const bin = (frequency / nyquist) * data.length;
+    const index = Math.min(data.length - 2, Math.floor(bin));
+    const fraction = bin - index;
+    return data[index] + (data[index + 1] - data[index]) * fraction;
+  }
+
+  /**
+   * Match the canvas backing store to its displayed size; returns false while hidden
+   */
+  resize(canvas, scale) {
+    const width = Math.round(canvas.clientWidth * scale);
+    const height = Math.round(canvas.clientHeight * scale);
+    if (width === 0 || height === 0) return false;
+
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    return true;
+  }
+
+  /**
+   * Read both analysers and redraw (called once per visualizer frame)
+   * gainReductionDb is shown as a strip along the top of the spectrogram
+   */
+  update(inputAnalyser, outputAnalyser, gainReductionDb = 0) {
+    if (!this.inputData || this.inputData.length !== inputAnalyser.frequencyBinCount) {
+      this.inputData = new Float32Array(inputAnalyser.frequencyBinCount);
+      this.outputData = new Float32Array(outputAnalyser.frequencyBinCount);
+      this.inputAverage = null;
+      this.outputAverage = null;
+    }
+
+    inputAnalyser.getFloatFrequencyData(this.inputData);
+    outputAnalyser.getFloatFrequencyData(this.outputData);
+
+    // Silence reads as -Infinity; clamp so averages and interpolation stay finite
+    [this.inputData, this.outputData].forEach(data => {
+      for (let i = 0; i < data.length; i++) {
+        data[i] = Math.max(SPECTRUM_MIN_DB, data[i]);
+      }
+    });
+
+    this.inputAverage = this.average(this.inputAverage, this.inputData);
+    this.outputAverage = this.average(this.outputAverage, this.outputData);
+
+    const nyquist = inputAnalyser.context.sampleRate / 2;
+    this.drawSpectrogram(this.spectrogramSource === 'output' ? this.outputData : this.inputData, nyquist, gainReductionDb);
+    this.drawSpectrum(nyquist);
+  }
+
+  /**
+   * Exponential average of dB spectra (keeps the overlay readable)
+   */
+  average(previous, data) {
+    if (!previous) return Float32Array.from(data);
+
+    for (let i = 0; i < data.length; i++) {
+      previous[i] = previous[i] * SPECTRUM_AVERAGING + data[i] * (1 - SPECTRUM_AVERAGING);
+    }
+    return previous;
+  }
+
+  /**
+   * Scroll the spectrogram one pixel left and draw the newest column on the right
+   */
+  drawSpectrogram(data, nyquist, gainReductionDb) {
+    const canvas = this.spectrogramCanvas;
+    const ctx = this.spectrogramContext;
+    if (!this.resize(canvas, 1)) return;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    ctx.drawImage(canvas, -1, 0);
+
+    const column = ctx.createImageData(1, height);
+    for (let y = 0; y < height; y++) {
+      const frequency = this.frequencyAt(1 - y / (height - 1), nyquist);
+      const level = (this.levelAt(data, frequency, nyquist) - SPECTRUM_MIN_DB) / (SPECTRUM_MAX_DB - SPECTRUM_MIN_DB);
+      const color = this.palette[Math.max(0, Math.min(255, Math.round(level * 255)))];
+      column.data.set([color[0], color[1], color[2], 255], y * 4);
+    }
+
+    // Gain reduction strip: transparent when the limiter is idle, red when it works hard
+    const reduction = Math.max(0, Math.min(1, gainReductionDb / SPECTROGRAM_REDUCTION_RANGE));
+    for (let y = 0; y < Math.min(SPECTROGRAM_REDUCTION_STRIP, height); y++) {
+      column.data.set([Math.round(255 * reduction), 0, 0, 255], y * 4);
+    }
+
+    ctx.putImageData(column, width - 1, 0);
+  }
+
+  /**
+   * Draw the averaged input and output spectra over a log frequency grid
+   */
+  drawSpectrum(nyquist) {
+    const canvas = this.spectrumCanvas;
+    const ctx = this.spectrumContext;
+    const scale = window.devicePixelRatio || 1;
+    if (!this.resize(canvas, scale)) return;
+
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const toY = (db) => height * (1 - (db - SPECTRUM_MIN_DB) / (SPECTRUM_MAX_DB - SPECTRUM_MIN_DB));
+
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    // Grid: decade-ish frequencies and every 20 dB
+    ctx.strokeStyle = '#e0e0e0';
+    ctx.lineWidth = 1;
+    ctx.fillStyle = '#999';
+    ctx.font = '10px sans-serif';
+    ctx.beginPath();
+    SPECTRUM_GRID_FREQUENCIES.forEach(frequency => {
+      if (frequency >= Math.min(SPECTRUM_MAX_FREQUENCY, nyquist)) return;
+      const x = this.positionOf(frequency, nyquist) * width;
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.fillText(frequency >= 1000 ? `${frequency / 1000}k` : String(frequency), x + 2, height - 4);
+    });
+    for (let db = SPECTRUM_MIN_DB + 20; db < SPECTRUM_MAX_DB; db += 20) {
+      ctx.moveTo(0, toY(db));
+      ctx.lineTo(width, toY(db));
+      ctx.fillText(`${db}`, 2, toY(db) - 2);
+    }
+    ctx.stroke();
+
+    // Input and output curves (same colours as the level chart)
+    [[this.inputAverage, '#3498db'], [this.outputAverage, '#e74c3c']].forEach(([data, color]) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      for (let px = 0; px <= width; px++) {
+        const frequency = this.frequencyAt(px / width, nyquist);
+        const y = toY(this.levelAt(data, frequency, nyquist));
+        if (px === 0) {
+          ctx.moveTo(px, y);
+        } else {
+          ctx.lineTo(px, y);
+        }
+      }
+      ctx.stroke();
+    });
+
+    // Legend
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#3498db';
+    ctx.fillText('input', width - 4, 12);
+    ctx.fillStyle = '#e74c3c';
+    ctx.fillText('output', width - 4, 24);
+    ctx.textAlign = 'left';
+  }
+
+  /**
+   * Blank both views (e.g. when visualization stops)
+   */
+  clear() {
+    [this.spectrogramContext, this.spectrumContext].forEach(ctx => {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    });
+    this.inputAverage = null;
+    this.outputAverage = null;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * Static transfer-curve graph (input level → output level) for the controls panel
+ * Uses the same gain computer as the limiter (LimiterDSP.computeStaticGain)
+ */
+const TRANSFER_CURVE_MIN_DB = -60;
+const TRANSFER_CURVE_MAX_DB = 0;
+const TRANSFER_CURVE_GRID_STEP = 10;    // dB between grid lines
+
+class TransferCurveGraph {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+  }
+
+  /**
+   * Map a dB value to a canvas coordinate (0..size), flipping the y axis
+   */
+  toPixels(db, size, flip = false) {
+    const position = (db - TRANSFER_CURVE_MIN_DB) / (TRANSFER_CURVE_MAX_DB - TRANSFER_CURVE_MIN_DB);
+    return flip ? size * (1 - position) : size * position;
+  }
+
+  /**
+   * Redraw the curve for a parameter set ({ threshold, gainMode, ratio, kneeWidth })
+   */
+  draw(params) {
+    const canvas = this.canvas;
+    const ctx = this.context;
+
+    // Match the backing store to the displayed size for sharp lines
+    const scale = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * scale) || canvas.height !== Math.round(height * scale)) {
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+    }
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    // Grid
+    ctx.strokeStyle = '#e0e0e0';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let db = TRANSFER_CURVE_MIN_DB; db <= TRANSFER_CURVE_MAX_DB; db += TRANSFER_CURVE_GRID_STEP) {
+      const x = this.toPixels(db, width);
+      const y = this.toPixels(db, height, true);
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+
+    // Unity line (no processing)
+    ctx.strokeStyle = '#bdc3c7';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    ctx.lineTo(width, 0);
+    ctx.stroke();
+
+    // Threshold marker
+    const thresholdX = this.toPixels(params.threshold, width);
+    ctx.strokeStyle = '#95a5a6';
+    ctx.beginPath();
+    ctx.moveTo(thresholdX, 0);
+    ctx.lineTo(thresholdX, height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Transfer curve
+    ctx.strokeStyle = '#e74c3c';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let px = 0; px <= width; px++) {
+      const inputDb = TRANSFER_CURVE_MIN_DB + (px / width) * (TRANSFER_CURVE_MAX_DB - TRANSFER_CURVE_MIN_DB);
+      const outputDb = inputDb + LimiterDSP.linearToDb(LimiterDSP.computeStaticGain(inputDb, params));
+      const y = this.toPixels(outputDb, height, true);
+      if (px === 0) {
+        ctx.moveTo(px, y);
+      } else {
+        ctx.lineTo(px, y);
+      }
+    }
+    ctx.stroke();
+
+    // Axis labels
+    ctx.fillStyle = '#666';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText('in (dB) →', width - 4, height - 4);
+    ctx.textAlign = 'left';
+    ctx.fillText('↑ out (dB)', 4, 12);
+  }
+}
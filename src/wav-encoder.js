@@ -0,0 +1,101 @@
+/**
+ * Minimal WAV (RIFF) encoder for exporting processed audio
+ * Supports 16-bit PCM, 24-bit PCM and 32-bit float, interleaving any number of channels
+ */
+const WAV_FORMATS = {
+  int16: { bitsPerSample: 16, formatTag: 1 },   // PCM
+  int24: { bitsPerSample: 24, formatTag: 1 },   // PCM
+  float32: { bitsPerSample: 32, formatTag: 3 }, // IEEE float
+};
+const WAV_HEADER_SIZE = 44;
+
+class WavEncoder {
+  /**
+   * Encode an AudioBuffer as a WAV Blob
+   */
+  static encodeAudioBuffer(audioBuffer, format = 'int16') {
+    const channels = [];
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+      channels.push(audioBuffer.getChannelData(ch));
+    }
+    return WavEncoder.encode(channels, audioBuffer.sampleRate, format);
+  }
+
+  /**
+   * Encode an array of Float32Array channels as a WAV Blob
+   */
+  static encode(channels, sampleRate, format = 'int16') {
+    const spec = WAV_FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unsupported WAV format: ${format}`);
+    }
+
+    const numChannels = channels.length;
+    const numFrames = numChannels > 0 ? channels[0].length : 0;
+    const bytesPerSample = spec.bitsPerSample / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+
+    const buffer = new ArrayBuffer(WAV_HEADER_SIZE + dataSize);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    WavEncoder.writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    WavEncoder.writeString(view, 8, 'WAVE');
+
+    // fmt chunk
+    WavEncoder.writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, spec.formatTag, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, spec.bitsPerSample, true);
+
+    // data chunk (interleaved samples)
+    WavEncoder.writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = WAV_HEADER_SIZE;
+    for (let i = 0; i < numFrames; i++) {
+      for (let ch = 0; ch < numChannels; ch++) {
+        const sample = channels[ch][i];
+
+        if (format === 'float32') {
+          view.setFloat32(offset, sample, true);
+        } else {
+          const clamped = Math.max(-1, Math.min(1, sample));
+          if (format === 'int16') {
+            view.setInt16(offset, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+          } else {
+            const value = Math.round(clamped < 0 ? clamped * 0x800000 : clamped * 0x7FFFFF);
+            view.setUint8(offset, value & 0xFF);
+            view.setUint8(offset + 1, (value >> 8) & 0xFF);
+            view.setUint8(offset + 2, (value >> 16) & 0xFF);
+          }
+        }
+
+        offset += bytesPerSample;
+      }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+  }
+
+  /**
+   * Write an ASCII string into the header
+   */
+  static writeString(view, offset, str) {
+    for (let i = 0; i < str.length; i++) {
+      view.setUint8(offset + i, str.charCodeAt(i));
+    }
+  }
+}
+
+// ES module / CommonJS consumers (see index.mjs); classic <script> pages use the global class
+globalThis.WavEncoder = WavEncoder;
+if (typeof module === 'object' && module.exports) {
+  module.exports = { WavEncoder, WAV_FORMATS };
+}
@@ -0,0 +1,236 @@
+/**
+ * WebRTC receive-side integration
+ * Attaches a normalizer to every incoming remote audio track of one or more RTCPeerConnections
+ * (through ParticipantNormalizerManager) and follows mute/unmute, track removal and renegotiation
+ *
+ * Architecture:
+ *   RTCPeerConnection 'track' → MediaStreamTrack → ParticipantNormalizerManager → Mix Bus → Destination
+ */
+class RemoteAudioNormalizer extends EventTarget {
+  constructor({ manager = null, participantId = null, ...managerOptions } = {}) {
+    super();
+
+    this.manager = manager || new ParticipantNormalizerManager(managerOptions);
+    this.ownsManager = !manager;
+
+    // Maps a track event to a participant ID (default: one participant per remote track)
+    this.getParticipantId = participantId || ((event) => event.track.id);
+
+    // peerConnection → 'track' listener
+    this.connections = new Map();
+
+    // participantId → { track, peerConnection, element, muted, listeners }
+    this.tracks = new Map();
+
+    // Callbacks
+    this.onParticipantAdded = null;    // (participantId, normalizer, track)
+    this.onParticipantRemoved = null;  // (participantId)
+    this.onParticipantMuted = null;    // (participantId, muted)
+  }
+
+  /**
+   * Start normalizing the remote audio of a peer connection
+   * Tracks that arrived before attaching are picked up as well
+   */
+  attach(peerConnection) {
+    if (this.connections.has(peerConnection)) return;
+
+    const listener = (event) => this.handleTrack(peerConnection, event);
+    peerConnection.addEventListener('track', listener);
+    this.connections.set(peerConnection, listener);
+
+    peerConnection.getTransceivers().forEach(transceiver => {
+      const track = transceiver.receiver.track;
+      if (track.kind === 'audio' && track.readyState === 'live' && !transceiver.stopped) {
+        this.handleTrack(peerConnection, { track, receiver: transceiver.receiver, transceiver, streams: [] });
+      }
+    });
+  }
+
+  /**
+   * Stop normalizing a peer connection and remove its participants
+   */
+  detach(peerConnection) {
+    const listener = this.connections.get(peerConnection);
+    if (!listener) return;
+
+    peerConnection.removeEventListener('track', listener);
+    this.connections.delete(peerConnection);
+
+    this.tracks.forEach((entry, participantId) => {
+      if (entry.peerConnection === peerConnection) {
+        this.removeTrack(participantId);
+      }
+    });
+  }
+
+  /**
+   * Handle an RTCTrackEvent - also fired again for reused transceivers after renegotiation
+   */
+  handleTrack(peerConnection, event) {
+    if (event.track.kind !== 'audio') return;
+
+    const participantId = this.getParticipantId(event);
+    this.addTrack(participantId, event.track, peerConnection, event.streams || []).catch(error => {
+      this.reportError(error, 'track', participantId);
+    });
+  }
+
+  /**
+   * Dispatch a CustomEvent carrying detail
+   */
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Dispatch an 'error' event and return the error (for throwing)
+   */
+  reportError(error, phase, participantId) {
+    this.emit('error', { error, phase, participantId });
+    return error;
+  }
+
+  /**
+   * Normalize a remote audio track as a participant
+   */
+  async addTrack(participantId, track, peerConnection = null, streams = []) {
+    const existing = this.tracks.get(participantId);
+    if (existing && existing.track === track) {
+      return this.manager.getNormalizer(participantId);
+    }
+    if (existing) {
+      this.removeTrack(participantId);
+    }
+
+    // Chrome only feeds remote WebRTC audio into Web Audio while the track plays in a media element
+    const element = new Audio();
+    element.muted = true;
+    element.srcObject = new MediaStream([track]);
+    element.play().catch(() => {
+      // Autoplay may be blocked; Web Audio still receives the track in other browsers
+    });
+
+    const entry = {
+      track: track,
+      peerConnection: peerConnection,
+      element: element,
+      muted: track.muted,
+      listeners: [],
+    };
+    this.tracks.set(participantId, entry);
+
+    const listen = (target, type, handler) => {
+      target.addEventListener(type, handler);
+      entry.listeners.push(() => target.removeEventListener(type, handler));
+    };
+
+    listen(track, 'mute', () => this.setMuted(participantId, entry, true));
+    listen(track, 'unmute', () => this.setMuted(participantId, entry, false));
+    listen(track, 'ended', () => this.removeTrack(participantId, entry));
+
+    // The remote side removed the track (removeTrack + renegotiation) without stopping the transceiver
+    streams.forEach(stream => {
+      listen(stream, 'removetrack', (event) => {
+        if (event.track === track) {
+          this.removeTrack(participantId, entry);
+        }
+      });
+    });
+
+    let normalizer;
+    try {
+      normalizer = await this.manager.addParticipant(participantId, track);
+    } catch (error) {
+      // Undo the registration so a later addTrack for this participant starts clean
+      if (this.tracks.get(participantId) === entry) {
+        this.tracks.delete(participantId);
+      }
+      this.releaseEntry(entry);
+      throw error;
+    }
+
+    // Track may have been removed (or replaced) while the worklet was loading
+    if (!normalizer || this.tracks.get(participantId) !== entry) {
+      return null;
+    }
+
+    if (this.onParticipantAdded) {
+      this.onParticipantAdded(participantId, normalizer, track);
+    }
+
+    return normalizer;
+  }
+
+  /**
+   * Track a remote track's mute state (no media flowing while muted)
+   * The limiter chain stays connected: a muted track is already silent, and unmuted audio
+   * must never reach the mix bus before the limiter is back in the path
+   */
+  setMuted(participantId, entry, muted) {
+    if (this.tracks.get(participantId) !== entry || entry.muted === muted) return;
+
+    entry.muted = muted;
+
+    if (this.onParticipantMuted) {
+      this.onParticipantMuted(participantId, muted);
+    }
+  }
+
+  /**
+   * Stop normalizing a participant's track
+   * If entry is given, only that specific track is removed (ignores stale events)
+   */
+  removeTrack(participantId, entry = this.tracks.get(participantId)) {
+    if (!entry || this.tracks.get(participantId) !== entry) return;
+
+    this.tracks.delete(participantId);
+    this.releaseEntry(entry);
+    this.manager.removeParticipant(participantId);
+
+    if (this.onParticipantRemoved) {
+      this.onParticipantRemoved(participantId);
+    }
+  }
+
+  /**
+   * Detach a track entry's listeners and stop its playback element
+   */
+  releaseEntry(entry) {
+    entry.listeners.forEach(remove => remove());
+    entry.listeners = [];
+    entry.element.pause();
+    entry.element.srcObject = null;
+  }
+
+  /**
+   * Whether a participant's remote track is currently muted
+   */
+  isMuted(participantId) {
+    const entry = this.tracks.get(participantId);
+    return entry ? entry.muted : false;
+  }
+
+  /**
+   * Detach from all peer connections and release the manager (if owned)
+   * Resolves once the owned manager's audio context has closed; a failure is an 'error' event
+   */
+  async destroy() {
+    Array.from(this.connections.keys()).forEach(peerConnection => this.detach(peerConnection));
+    Array.from(this.tracks.keys()).forEach(participantId => this.removeTrack(participantId));
+
+    if (this.ownsManager) {
+      try {
+        await this.manager.destroy();
+      } catch (error) {
+        this.reportError(error, 'destroy');
+      }
+    }
+  }
+}
+
+// ES module / CommonJS consumers (see index.mjs); classic <script> pages use the global class
+globalThis.RemoteAudioNormalizer = RemoteAudioNormalizer;
+if (typeof module === 'object' && module.exports) {
+  module.exports = { RemoteAudioNormalizer };
+}
@@ -0,0 +1,111 @@
+/**
+ * Shared AudioWorklet module loading
+ * Each module is added once per AudioContext and shared by every normalizer, ducker and recorder on it.
+ * Modules are loaded from baseUrl by default; any of them can be moved (another URL) or given inline
+ * as source text, which is loaded from a Blob URL so there are no worklet files to serve.
+ */
+const DEFAULT_WORKLET_BASE_URL = 'src/';
+
+// Worklet modules by name (relative to the base URL)
+const WORKLET_MODULE_FILES = {
+  dsp: 'limiter-dsp.js',
+  loudness: 'loudness-meter.js',
+  limiter: 'limiter-worklet.js',
+  ducker: 'ducker-worklet.js',
+  recorder: 'ab-recorder-worklet.js',
+};
+
+// AudioContext → Map(module name → addModule promise)
+const loadedWorkletModules = new WeakMap();
+
+class WorkletLoader {
+  /**
+   * Set where worklet modules come from (applies to contexts that have not loaded them yet)
+   * - baseUrl: directory holding the module files (default 'src/', relative to the page)
+   * - modules: per-module override, either a URL or { source } with the module's code,
+   *   e.g. { limiter: { source: limiterWorkletCode } }
+   * The library does not bundle worklet code: { source } must be the text of the module file
+   * (e.g. a bundler's raw import). Modules without an override still load from baseUrl.
+   */
+  static configure({ baseUrl, modules = {} } = {}) {
+    if (baseUrl !== undefined) {
+      WorkletLoader.baseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    }
+
+    Object.keys(modules).forEach(name => {
+      if (!(name in WORKLET_MODULE_FILES)) {
+        throw new Error(`Unknown worklet module: ${name}`);
+      }
+      WorkletLoader.modules[name] = modules[name];
+    });
+  }
+
+  /**
+   * Where a module is loaded from: { url } or { source }
+   */
+  static resolve(name) {
+    const override = WorkletLoader.modules[name];
+    if (override && typeof override === 'object' && typeof override.source === 'string') {
+      return { source: override.source };
+    }
+    if (typeof override === 'string') {
+      return { url: override };
+    }
+    if (!(name in WORKLET_MODULE_FILES)) {
+      throw new Error(`Unknown worklet module: ${name}`);
+    }
+    return { url: WorkletLoader.baseUrl + WORKLET_MODULE_FILES[name] };
+  }
+
+  /**
+   * Add the named modules to the context's AudioWorklet, in order, skipping those already added
+   * Concurrent callers share the same pending load; a failed load is retried on the next call
+   */
+  static async load(audioContext, names) {
+    let loaded = loadedWorkletModules.get(audioContext);
+    if (!loaded) {
+      loaded = new Map();
+      loadedWorkletModules.set(audioContext, loaded);
+    }
+
+    for (const name of names) {
+      if (!loaded.has(name)) {
+        const pending = WorkletLoader.addModule(audioContext, WorkletLoader.resolve(name));
+        loaded.set(name, pending);
+        pending.catch(() => loaded.delete(name));
+      }
+      await loaded.get(name);
+    }
+  }
+
+  /**
+   * Whether a module has been requested on a context (it may still be loading)
+   */
+  static isLoaded(audioContext, name) {
+    const loaded = loadedWorkletModules.get(audioContext);
+    return Boolean(loaded && loaded.has(name));
+  }
+
+  static async addModule(audioContext, { url, source }) {
+    if (url) {
+      await audioContext.audioWorklet.addModule(url);
+      return;
+    }
+
+    const blobUrl = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+    try {
+      await audioContext.audioWorklet.addModule(blobUrl);
+    } finally {
+      URL.revokeObjectURL(blobUrl);
+    }
+  }
+}
+
+WorkletLoader.baseUrl = DEFAULT_WORKLET_BASE_URL;
+WorkletLoader.modules = {};
+
+// ES module / CommonJS consumers (see index.mjs); classic <script> pages use the global class
+globalThis.WorkletLoader = WorkletLoader;
+if (typeof module === 'object' && module.exports) {
+  module.exports = { WorkletLoader, WORKLET_MODULE_FILES };
+}
@@ -0,0 +1,190 @@
+/**
+ * VoiceVolumeNormalizer, BackgroundDucker and ABRecorder tests against a minimal stand-in
+ * for the Web Audio nodes they create
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const postedMessages = [];
+const createdNodes = [];
+
+class FakeAudioNode {
+  connect() {}
+  disconnect() {}
+}
+
+globalThis.AudioWorkletNode = class extends FakeAudioNode {
+  constructor(audioContext, name, options) {
+    super();
+    this.channelCount = options.channelCount;
+    this.parameters = new Map();
+    this.port = { postMessage: (message) => postedMessages.push(message), onmessage: null };
+    createdNodes.push(name);
+  }
+};
+
+require('../src/worklet-loader.js');
+const { VoiceVolumeNormalizer } = require('../src/audio-processor.js');
+const { BackgroundDucker } = require('../src/background-ducker.js');
+const { ABRecorder } = require('../src/ab-recorder.js');
+
+function createContext() {
+  return {
+    sampleRate: 48000,
+    currentTime: 0,
+    audioWorklet: { addModule: async () => {} },
+  };
+}
+
+async function createNormalizer() {
+  const normalizer = new VoiceVolumeNormalizer();
+  await normalizer.initialize(createContext());
+  return normalizer;
+}
+
+test('lookahead changes are refused while the latency is locked', async () => {
+  const normalizer = await createNormalizer();
+  const errors = [];
+  normalizer.addEventListener('error', (event) => errors.push(event.detail));
+
+  normalizer.lockLatency();
+  normalizer.updateParameters({ lookaheadTime: 20, threshold: -30 });
+  assert.strictEqual(normalizer.lookaheadTime, 10);
+  assert.strictEqual(normalizer.threshold, -30, 'other parameters still apply');
+  assert.strictEqual(normalizer.getLatency().samples, 480);
+  assert.deepStrictEqual(errors.map(error => error.phase), ['parameters']);
+
+  normalizer.updateParameters({ lookaheadTime: 10 });
+  assert.strictEqual(errors.length, 1, 'the locked value itself is accepted');
+
+  normalizer.unlockLatency();
+  normalizer.updateParameters({ lookaheadTime: 20 });
+  assert.strictEqual(normalizer.getLatency().samples, 960);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('failures are reported as error events without logging', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+
+  const idle = new VoiceVolumeNormalizer();
+  const errors = [];
+  idle.addEventListener('error', (event) => errors.push(event.detail));
+  idle.enable();
+  assert.deepStrictEqual(errors.map(error => error.phase), ['enable']);
+
+  const failing = new VoiceVolumeNormalizer();
+  failing.addEventListener('error', (event) => errors.push(event.detail));
+  const context = createContext();
+  context.audioWorklet.addModule = async () => {
+    throw new Error('404');
+  };
+  await assert.rejects(failing.initialize(context), /Failed to load AudioWorklet processor/);
+  assert.strictEqual(errors[1].phase, 'load');
+  assert.strictEqual(errors[1].error.cause.message, '404');
+
+  assert.strictEqual(logged.mock.callCount(), 0);
+});
+
+test('the ducker dispatches state, meter and error events', async () => {
+  const ducker = new BackgroundDucker();
+  const events = [];
+  ['statechange', 'meter', 'error'].forEach(type => {
+    ducker.addEventListener(type, (event) => events.push([type, event.detail.state || event.detail.phase]));
+  });
+
+  ducker.enable();
+  await ducker.initialize(createContext());
+  ducker.enable(new FakeAudioNode(), null, new FakeAudioNode());
+  ducker.duckerNode.port.onmessage({ data: { type: 'meter', gain: 0.5 } });
+  ducker.destroy();
+
+  assert.deepStrictEqual(events, [
+    ['error', 'enable'],
+    ['statechange', 'ready'],
+    ['statechange', 'active'],
+    ['meter', undefined],
+    ['statechange', 'ready'],
+    ['statechange', 'idle'],
+  ]);
+});
+
+test('the recorder dispatches state, limit and error events', async () => {
+  const events = [];
+  const listen = (recorder) => ['statechange', 'limit', 'error'].forEach(type => {
+    recorder.addEventListener(type, (event) => events.push([type, event.detail.state || event.detail.phase]));
+  });
+
+  const early = new ABRecorder(new VoiceVolumeNormalizer());
+  listen(early);
+  await assert.rejects(early.initialize(), /must be initialized/);
+
+  const recorder = new ABRecorder(await createNormalizer());
+  listen(recorder);
+  await recorder.start();
+  recorder.recorderNode.port.onmessage({ data: { type: 'full' } });
+  recorder.destroy();
+
+  assert.deepStrictEqual(events, [
+    ['error', 'create'],
+    ['statechange', 'ready'],
+    ['statechange', 'recording'],
+    ['statechange', 'ready'],
+    ['limit', undefined],
+    ['statechange', 'idle'],
+  ]);
+  assert.strictEqual(recorder.processor.latencyLocks, 0, 'destroy releases the latency lock');
+});
+
+test('concurrent recorder starts share one worklet node', async () => {
+  const recorder = new ABRecorder(await createNormalizer());
+  const before = createdNodes.filter(name => name === 'ab-recorder-processor').length;
+
+  await Promise.all([recorder.start(), recorder.start()]);
+  assert.strictEqual(createdNodes.filter(name => name === 'ab-recorder-processor').length, before + 1);
+  assert.strictEqual(recorder.state, 'recording');
+  assert.strictEqual(recorder.processor.latencyLocks, 1);
+  recorder.destroy();
+});
+
+test('reaching the recording limit stops the capture and keeps the audio for stop()', async () => {
+  const recorder = new ABRecorder(await createNormalizer());
+  const limits = [];
+  recorder.onLimitReached = () => limits.push(recorder.state);
+  await recorder.start();
+
+  const channels = () => [new Float32Array(1000), new Float32Array(1000)];
+  recorder.recorderNode.port.onmessage({ data: { type: 'chunk', dry: channels(), processed: channels() } });
+  recorder.recorderNode.port.onmessage({ data: { type: 'full' } });
+  assert.strictEqual(recorder.isRecording, false);
+  assert.deepStrictEqual(limits, ['ready']);
+  assert.strictEqual(recorder.processor.latencyLocks, 0, 'the latency lock is released at the limit');
+
+  const recording = await recorder.stop();
+  assert.strictEqual(recording.truncated, true);
+  assert.strictEqual(recording.dry[0].length, 1000 - recording.latencySamples);
+  assert.strictEqual(await recorder.stop(), null, 'the capture is returned once');
+  recorder.destroy();
+});
+
+test('a failed initialize can be retried, and concurrent calls create one node', async () => {
+  for (const create of [() => new VoiceVolumeNormalizer(), () => new BackgroundDucker()]) {
+    const instance = create();
+    const context = createContext();
+    let loads = 0;
+    context.audioWorklet.addModule = async () => {
+      loads++;
+      if (loads === 1) throw new Error('404');
+    };
+
+    await assert.rejects(instance.initialize(context), /Failed to load AudioWorklet processor/);
+    assert.strictEqual(instance.audioCtx, null, 'no context is kept after a failed load');
+    assert.strictEqual(instance.state, 'idle');
+
+    const before = createdNodes.length;
+    await Promise.all([instance.initialize(context), instance.initialize(context)]);
+    assert.strictEqual(instance.audioCtx, context);
+    assert.strictEqual(instance.state, 'ready');
+    assert.strictEqual(createdNodes.length, before + 1);
+    instance.destroy();
+  }
+});
@@ -0,0 +1,46 @@
+/**
+ * Session summary tests: overshoot is measured in the detector's units
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { DiagnosticSession } = require('../src/diagnostic-session.js');
+
+/**
+ * Rows of a steady tone limited to -20 dB RMS, whose peaks sit 3 dB higher (a sine's crest factor)
+ */
+function rows(detectorMode) {
+  return Array.from({ length: 60 }, (_, i) => ({
+    timestamp: i * 16.7,
+    inputDb: -10,
+    outputDb: detectorMode === 'rms' ? -20 : -23,
+    peakOutputDb: detectorMode === 'rms' ? -17 : -20,
+    threshold: -20,
+    detectorMode: detectorMode,
+    reductionDb: 10,
+  }));
+}
+
+test('RMS sessions compare the output level, not the peak, with the threshold', () => {
+  const summary = new DiagnosticSession('rms', rows('rms')).summarize();
+  assert.strictEqual(summary.maxOvershootDb, 0);
+});
+
+test('peak and truePeak sessions compare the output peak with the threshold', () => {
+  ['peak', 'truePeak'].forEach(detectorMode => {
+    const overshoot = rows(detectorMode).map(row => ({ ...row, peakOutputDb: -19.5 }));
+    assert.strictEqual(new DiagnosticSession(detectorMode, overshoot).summarize().maxOvershootDb, 0.5);
+  });
+});
+
+test('rows without a detector mode use the session parameters', () => {
+  const bare = rows('peak').map(({ detectorMode, ...row }) => ({ ...row, peakOutputDb: -19 }));
+  assert.strictEqual(new DiagnosticSession('peak', bare, { detectorMode: 'peak' }).summarize().maxOvershootDb, 1);
+  assert.strictEqual(new DiagnosticSession('unknown', bare).summarize().maxOvershootDb, 0);
+});
+
+test('CSV round trip keeps the detector mode for the summary', () => {
+  const csv = ['timestamp,inputDb,outputDb,peakOutputDb,threshold,detectorMode,reductionDb',
+    ...rows('rms').map(row => [row.timestamp, row.inputDb, row.outputDb, row.peakOutputDb,
+      row.threshold, row.detectorMode, row.reductionDb].join(','))].join('\n');
+  assert.strictEqual(DiagnosticSession.fromCsv(csv).summarize().maxOvershootDb, 0);
+});
@@ -0,0 +1,82 @@
+/**
+ * Distortion detector tests: clean tones are not flagged, clipped ones are,
+ * and flagging only changes the output when distortionAttenuation is set
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { DistortionDetector, LimiterCore, DEFAULT_DISTORTION_ATTENUATION } = require('../src/limiter-dsp.js');
+
+const SAMPLE_RATE = 48000;
+const THRESHOLD = -20; // dB
+
+/**
+ * Sine overdriven by `drive` and hard-clipped at `amplitude` (drive 1 = clean)
+ */
+function tone(frequency, amplitude, drive = 1, seconds = 3) {
+  return Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, (_, i) => {
+    const value = amplitude * drive * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+    return Math.max(-amplitude, Math.min(amplitude, value));
+  });
+}
+
+function detect(signal) {
+  const detector = new DistortionDetector(SAMPLE_RATE);
+  const events = [];
+  let maxClipping = 0;
+  signal.forEach(sample => {
+    const event = detector.process(sample, THRESHOLD);
+    if (event) events.push(event);
+    maxClipping = Math.max(maxClipping, detector.clipping);
+  });
+  return { events, maxClipping };
+}
+
+function render(core, signal) {
+  const output = new Float32Array(signal.length);
+  for (let start = 0; start < signal.length; start += 128) {
+    const block = new Float32Array(Math.min(128, signal.length - start));
+    core.process([signal.subarray(start, start + block.length)], [block]);
+    output.set(block, start);
+  }
+  return output;
+}
+
+test('clean sustained tones and whistles are not flagged', () => {
+  [150, 300, 1000, 3000, 8000].forEach(frequency => {
+    [0.1, 0.5, 0.9].forEach(amplitude => {
+      const { events, maxClipping } = detect(tone(frequency, amplitude));
+      assert.strictEqual(maxClipping, 0, `${frequency} Hz at ${amplitude}: clipping score`);
+      assert.deepStrictEqual(events, [], `${frequency} Hz at ${amplitude}: events`);
+    });
+  });
+});
+
+test('hard-clipped tones are flagged from their flat tops', () => {
+  [150, 440, 1000].forEach(frequency => {
+    [1.1, 1.5, 3].forEach(drive => {
+      const { events, maxClipping } = detect(tone(frequency, 0.5, drive));
+      assert.strictEqual(maxClipping, 1, `${frequency} Hz driven ${drive}x: clipping score`);
+      assert.deepStrictEqual(events, ['start'], `${frequency} Hz driven ${drive}x: events`);
+    });
+  });
+});
+
+test('flagging does not change the output unless attenuation is opted in', () => {
+  assert.strictEqual(DEFAULT_DISTORTION_ATTENUATION, 0);
+
+  const clipped = tone(440, 0.5, 3);
+  const withDetection = new LimiterCore(SAMPLE_RATE, { threshold: THRESHOLD });
+  const withoutDetection = new LimiterCore(SAMPLE_RATE, { threshold: THRESHOLD });
+  withDetection.setParameters({ spamDetection: false });
+  withoutDetection.setParameters({ spamDetection: false, distortionDetection: false });
+
+  const flagged = render(withDetection, clipped);
+  assert.strictEqual(withDetection.distortion.active, true);
+  assert.deepStrictEqual(flagged, render(withoutDetection, clipped));
+
+  const attenuating = new LimiterCore(SAMPLE_RATE, { threshold: THRESHOLD });
+  attenuating.setParameters({ spamDetection: false, distortionAttenuation: 6 });
+  const attenuated = render(attenuating, clipped);
+  const tail = (signal) => Math.max(...signal.subarray(signal.length - 4800).map(Math.abs));
+  assert.ok(Math.abs(20 * Math.log10(tail(attenuated) / tail(flagged)) + 6) < 0.5, 'about 6 dB quieter');
+});
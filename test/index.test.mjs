@@ -0,0 +1,23 @@
+/**
+ * ES module entry tests: every documented class is exported and worklets resolve next to index.mjs
+ */
+import test from 'node:test';
+import assert from 'node:assert';
+import * as library from '../src/index.mjs';
+
+test('the module entry exports every public class', () => {
+  [
+    'VoiceVolumeNormalizer', 'ParticipantNormalizerManager', 'RemoteAudioNormalizer', 'BackgroundDucker',
+    'ABRecorder', 'OfflineBatchProcessor', 'MicrophoneInput', 'WavEncoder', 'WorkletLoader',
+  ].forEach(name => {
+    assert.strictEqual(typeof library[name], 'function', `${name} is exported`);
+  });
+
+  assert.ok(library.DEFAULT_NORMALIZER_PARAMETERS);
+  assert.ok(library.DEFAULT_DUCKER_PARAMETERS);
+});
+
+test('worklet modules resolve relative to the module entry', () => {
+  const { url } = library.WorkletLoader.resolve('limiter');
+  assert.strictEqual(url, new URL('../src/limiter-worklet.js', import.meta.url).href);
+});
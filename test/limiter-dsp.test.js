@@ -0,0 +1,198 @@
+/**
+ * Limiter DSP core tests: bursts, sine steps and clipped squares through LimiterCore
+ * Run with `npm test` (node:test, no dependencies)
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  LimiterCore, TruePeakInterpolator, linearToDb, lookaheadToSamples,
+} = require('../src/limiter-dsp.js');
+
+const SAMPLE_RATE = 48000;
+const BLOCK_SIZE = 128;                  // Render quantum, as in the worklet
+const THRESHOLD = -20;                   // dB
+const OVERSHOOT_TOLERANCE = 0.1;         // dB above the threshold allowed in peak / truePeak modes
+const MAX_PUMPING = 1;                   // dB/s of gain movement on a steady tone
+const MAX_STEP_RATIO = 2;                // Largest sample step while switching modes, relative to steady state
+
+/**
+ * Limiter with the detectors that add extra attenuation turned off, so only the limiter is measured
+ */
+function createLimiter(options = {}) {
+  const core = new LimiterCore(SAMPLE_RATE, { threshold: THRESHOLD, ...options });
+  core.setParameters({ spamDetection: false, distortionDetection: false });
+  return core;
+}
+
+/**
+ * Process a mono signal in render quanta; returns the output and the gain (dB) after each block.
+ * `beforeBlock(start)` is called ahead of each block, e.g. to change parameters mid-signal.
+ */
+function render(core, signal, beforeBlock = () => {}) {
+  const output = new Float32Array(signal.length);
+  const gainsDb = [];
+
+  for (let start = 0; start < signal.length; start += BLOCK_SIZE) {
+    const end = Math.min(signal.length, start + BLOCK_SIZE);
+    const block = new Float32Array(end - start);
+    beforeBlock(start);
+    core.process([signal.subarray(start, end)], [block]);
+    output.set(block, start);
+    gainsDb.push(linearToDb(core.currentGain));
+  }
+
+  return { output, gainsDb };
+}
+
+function sine(frequency, amplitude, seconds) {
+  return Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) },
+    (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+}
+
+/**
+ * Short loud tone bursts out of silence (the case lookahead exists for)
+ */
+function bursts() {
+  const signal = new Float32Array(3 * SAMPLE_RATE);
+  for (let k = 0; k < 6; k++) {
+    const start = Math.round((0.2 + k * 0.45) * SAMPLE_RATE);
+    signal.set(sine(300 + k * 500, 0.9, 0.1), start);
+  }
+  return signal;
+}
+
+/**
+ * Quiet tone stepping up by 20 dB after one second
+ */
+function sineStep() {
+  return Float32Array.from({ length: 3 * SAMPLE_RATE },
+    (_, i) => (i < SAMPLE_RATE ? 0.05 : 0.5) * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE));
+}
+
+/**
+ * Hard-clipped sine: a square wave whose true peaks sit between samples
+ */
+function clippedSquare() {
+  return sine(997, 3, 2).map(value => Math.max(-0.8, Math.min(0.8, value)));
+}
+
+function samplePeakDb(signal, from = 0) {
+  let peak = 0;
+  for (let i = from; i < signal.length; i++) {
+    peak = Math.max(peak, Math.abs(signal[i]));
+  }
+  return linearToDb(peak);
+}
+
+function truePeakDb(signal) {
+  const interpolator = new TruePeakInterpolator();
+  let peak = 0;
+  signal.forEach(value => {
+    peak = Math.max(peak, interpolator.process(value));
+  });
+  return linearToDb(peak);
+}
+
+/**
+ * Largest sample-to-sample difference in [from, to)
+ */
+function maxStep(signal, from, to) {
+  let step = 0;
+  for (let i = Math.max(1, from); i < to; i++) {
+    step = Math.max(step, Math.abs(signal[i] - signal[i - 1]));
+  }
+  return step;
+}
+
+function rmsDb(signal, from = 0) {
+  let sum = 0;
+  for (let i = from; i < signal.length; i++) {
+    sum += signal[i] * signal[i];
+  }
+  return linearToDb(Math.sqrt(sum / (signal.length - from)));
+}
+
+/**
+ * Gain movement per second (dB/s) over the blocks from `fromSeconds` on
+ */
+function pumpingDbPerSecond(gainsDb, fromSeconds) {
+  const first = Math.round(fromSeconds * SAMPLE_RATE / BLOCK_SIZE);
+  let movement = 0;
+  for (let i = first + 1; i < gainsDb.length; i++) {
+    movement += Math.abs(gainsDb[i] - gainsDb[i - 1]);
+  }
+  return movement / ((gainsDb.length - first) * BLOCK_SIZE / SAMPLE_RATE);
+}
+
+test('peak mode keeps sample peaks at the threshold', () => {
+  [bursts(), sineStep(), clippedSquare()].forEach(signal => {
+    const { output } = render(createLimiter({ detectorMode: 'peak' }), signal);
+    assert.ok(samplePeakDb(output) <= THRESHOLD + OVERSHOOT_TOLERANCE,
+      `sample peak ${samplePeakDb(output).toFixed(2)} dB`);
+  });
+});
+
+test('truePeak mode keeps inter-sample peaks at the threshold', () => {
+  [bursts(), sineStep(), clippedSquare()].forEach(signal => {
+    const { output } = render(createLimiter({ detectorMode: 'truePeak' }), signal);
+    assert.ok(truePeakDb(output) <= THRESHOLD + OVERSHOOT_TOLERANCE,
+      `true peak ${truePeakDb(output).toFixed(2)} dB`);
+  });
+});
+
+test('rms mode holds a steady tone at the threshold level', () => {
+  const { output } = render(createLimiter({ detectorMode: 'rms' }), sineStep());
+  assert.ok(Math.abs(rmsDb(output, 2 * SAMPLE_RATE) - THRESHOLD) < 0.5,
+    `output RMS ${rmsDb(output, 2 * SAMPLE_RATE).toFixed(2)} dB`);
+});
+
+test('gain does not pump on a steady tone after a step', () => {
+  ['rms', 'peak', 'truePeak'].forEach(detectorMode => {
+    const { gainsDb } = render(createLimiter({ detectorMode }), sineStep());
+    const pumping = pumpingDbPerSecond(gainsDb, 1.5);
+    assert.ok(pumping < MAX_PUMPING, `${detectorMode}: ${pumping.toFixed(3)} dB/s`);
+  });
+});
+
+test('gain is reduced by the step, and not before it', () => {
+  const { gainsDb } = render(createLimiter({ detectorMode: 'peak' }), sineStep());
+  const blocksPerSecond = SAMPLE_RATE / BLOCK_SIZE;
+  assert.ok(gainsDb[Math.floor(0.9 * blocksPerSecond)] > -0.1, 'unity gain before the step');
+  assert.ok(Math.abs(gainsDb[Math.floor(2 * blocksPerSecond)] - (THRESHOLD - linearToDb(0.5))) < 0.1,
+    'gain brings the loud tone down to the threshold');
+});
+
+test('reported latency is the lookahead in samples, and matches the output delay', () => {
+  [0.001, 0.01, 0.02, 0.05].forEach(lookaheadTime => {
+    const core = createLimiter({ lookaheadTime });
+    assert.strictEqual(core.latency, lookaheadToSamples(lookaheadTime, SAMPLE_RATE));
+    assert.strictEqual(core.latency, Math.round(lookaheadTime * SAMPLE_RATE));
+
+    const impulse = new Float32Array(4096);
+    impulse[10] = 0.01;
+    const { output } = render(core, impulse);
+    assert.strictEqual(output.findIndex(value => value !== 0), 10 + core.latency);
+  });
+});
+
+test('switching multiband on and off crossfades without sample jumps', () => {
+  [[440, 0.5], [1000, 0.3], [5000, 0.3]].forEach(([frequency, amplitude]) => {
+    ['rms', 'peak'].forEach(detectorMode => {
+      const core = createLimiter({ detectorMode });
+      const { output } = render(core, sine(frequency, amplitude, 3), start => {
+        if (start === SAMPLE_RATE) core.setParameters({ multibandEnabled: true });
+        if (start === 2 * SAMPLE_RATE) core.setParameters({ multibandEnabled: false });
+      });
+
+      const steady = maxStep(output, 0.5 * SAMPLE_RATE, SAMPLE_RATE);
+      const switching = maxStep(output, SAMPLE_RATE, output.length);
+      assert.ok(switching <= steady * MAX_STEP_RATIO,
+        `${frequency} Hz, ${detectorMode}: step ${switching.toFixed(4)} vs steady ${steady.toFixed(4)}`);
+      if (detectorMode === 'peak') {
+        assert.ok(samplePeakDb(output) <= THRESHOLD + OVERSHOOT_TOLERANCE,
+          `${frequency} Hz: sample peak ${samplePeakDb(output).toFixed(2)} dB`);
+      }
+      assert.strictEqual(core.multibandEnabled, false);
+    });
+  });
+});
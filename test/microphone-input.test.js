@@ -0,0 +1,44 @@
+/**
+ * MicrophoneInput tests with a stand-in for navigator.mediaDevices
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const mediaDevices = {
+  enumerateDevices: async () => [],
+  addEventListener: () => {},
+  removeEventListener: () => {},
+};
+Object.defineProperty(globalThis, 'navigator', { value: { mediaDevices }, configurable: true });
+
+const { MicrophoneInput } = require('../src/microphone-input.js');
+
+test('device list failures are dispatched as error events without logging', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  t.mock.method(mediaDevices, 'enumerateDevices', async () => {
+    throw new Error('not allowed');
+  });
+
+  const microphone = new MicrophoneInput(null);
+  const errors = [];
+  microphone.addEventListener('error', (event) => errors.push(event.detail));
+  await microphone.refreshDevices();
+
+  assert.deepStrictEqual(errors.map(error => [error.phase, error.error.message]), [['devices', 'not allowed']]);
+  assert.strictEqual(logged.mock.callCount(), 0);
+});
+
+test('failing to open the default microphone after a removal is dispatched as an error event', async (t) => {
+  const microphone = new MicrophoneInput(null);
+  microphone.stream = {};
+  microphone.deviceId = 'unplugged';
+  t.mock.method(microphone, 'open', async () => {
+    throw new Error('no microphone');
+  });
+
+  const errors = [];
+  microphone.addEventListener('error', (event) => errors.push(event.detail.phase));
+  await microphone.refreshDevices();
+
+  assert.deepStrictEqual(errors, ['switch']);
+});
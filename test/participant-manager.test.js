@@ -0,0 +1,60 @@
+/**
+ * ParticipantNormalizerManager tests with stand-ins for the audio context and mix bus
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const contexts = [];
+
+globalThis.GainNode = class {
+  connect() {}
+  disconnect() {}
+};
+
+globalThis.AudioContext = class {
+  constructor() {
+    this.state = 'running';
+    this.destination = {};
+    this.closeError = null;
+    contexts.push(this);
+  }
+
+  async close() {
+    if (this.closeError) throw this.closeError;
+    this.state = 'closed';
+  }
+};
+
+require('../src/worklet-loader.js');
+require('../src/audio-processor.js');
+const { ParticipantNormalizerManager } = require('../src/participant-manager.js');
+
+test('destroy waits for the owned audio context to close', async () => {
+  const manager = new ParticipantNormalizerManager();
+  await manager.initialize();
+  const context = manager.audioCtx;
+
+  await manager.destroy();
+  assert.strictEqual(context.state, 'closed');
+  assert.strictEqual(manager.audioCtx, null);
+  await manager.destroy();
+});
+
+test('destroy rejects when the owned audio context fails to close', async () => {
+  const manager = new ParticipantNormalizerManager();
+  await manager.initialize();
+  manager.audioCtx.closeError = new Error('close failed');
+
+  await assert.rejects(manager.destroy(), /close failed/);
+  assert.strictEqual(manager.audioCtx, null);
+  assert.strictEqual(manager.busNode, null);
+});
+
+test('destroy leaves a provided audio context open', async () => {
+  const context = new AudioContext();
+  const manager = new ParticipantNormalizerManager({ audioContext: context });
+  await manager.initialize();
+
+  await manager.destroy();
+  assert.strictEqual(context.state, 'running');
+});
@@ -0,0 +1,107 @@
+/**
+ * Preset validation tests: values from presets and shared links stay within range,
+ * and malformed stored or imported entries are skipped
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_NORMALIZER_PARAMETERS, NORMALIZER_PARAMETER_RANGES, NORMALIZER_PARAMETER_OPTIONS,
+} = require('../src/audio-processor.js');
+const { PresetStore, BUILTIN_PRESETS } = require('../src/preset-store.js');
+
+test('every numeric parameter has a range that contains its default', () => {
+  Object.keys(DEFAULT_NORMALIZER_PARAMETERS).forEach(name => {
+    const value = DEFAULT_NORMALIZER_PARAMETERS[name];
+    if (typeof value !== 'number') return;
+
+    const range = NORMALIZER_PARAMETER_RANGES[name];
+    assert.ok(range, `${name} has a range`);
+    assert.ok(value >= range[0] && value <= range[1], `${name} default ${value} within ${range}`);
+  });
+});
+
+test('built-in presets are unchanged by sanitizing', () => {
+  Object.keys(BUILTIN_PRESETS).forEach(name => {
+    const preset = { ...DEFAULT_NORMALIZER_PARAMETERS, ...BUILTIN_PRESETS[name] };
+    assert.deepStrictEqual(PresetStore.sanitize(preset), preset, name);
+  });
+});
+
+test('out-of-range numbers from a shared link are clamped', () => {
+  const params = PresetStore.fromHash('#agcEnabled=true&agcTime=-1000&gateHoldTime=-5&rmsWindow=0&threshold=40');
+  assert.strictEqual(params.agcEnabled, true);
+  assert.strictEqual(params.agcTime, NORMALIZER_PARAMETER_RANGES.agcTime[0]);
+  assert.strictEqual(params.gateHoldTime, NORMALIZER_PARAMETER_RANGES.gateHoldTime[0]);
+  assert.strictEqual(params.rmsWindow, NORMALIZER_PARAMETER_RANGES.rmsWindow[0]);
+  assert.strictEqual(params.threshold, NORMALIZER_PARAMETER_RANGES.threshold[1]);
+});
+
+test('unknown option strings fall back to the defaults', () => {
+  const params = PresetStore.fromHash('#detectorMode=loud&gainMode=compress&spamPolicy=explode&channelMode=x');
+  assert.strictEqual(params.detectorMode, DEFAULT_NORMALIZER_PARAMETERS.detectorMode);
+  assert.strictEqual(params.gainMode, 'compress');
+  assert.strictEqual(params.spamPolicy, DEFAULT_NORMALIZER_PARAMETERS.spamPolicy);
+  assert.strictEqual(params.channelMode, DEFAULT_NORMALIZER_PARAMETERS.channelMode);
+  Object.keys(NORMALIZER_PARAMETER_OPTIONS).forEach(name => {
+    assert.ok(NORMALIZER_PARAMETER_OPTIONS[name].includes(DEFAULT_NORMALIZER_PARAMETERS[name]), name);
+  });
+});
+
+test('non-numeric values are ignored', () => {
+  const params = PresetStore.sanitize({ threshold: 'loud', attackTime: NaN, releaseTime: Infinity });
+  assert.strictEqual(params.threshold, DEFAULT_NORMALIZER_PARAMETERS.threshold);
+  assert.strictEqual(params.attackTime, DEFAULT_NORMALIZER_PARAMETERS.attackTime);
+  assert.strictEqual(params.releaseTime, DEFAULT_NORMALIZER_PARAMETERS.releaseTime);
+});
+
+/**
+ * Minimal localStorage stand-in
+ */
+function createStorage(items = {}) {
+  return {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+  };
+}
+
+test('stored presets that are not objects are skipped without losing the others', () => {
+  const storage = createStorage({
+    'voiceVolumeNormalizer.presets': JSON.stringify({ Broken: null, List: [1], Text: 'x', Mine: { threshold: -12 } }),
+  });
+  const store = new PresetStore(storage);
+
+  assert.deepStrictEqual(store.getNames().filter(name => !store.isBuiltin(name)), ['Mine']);
+  assert.strictEqual(store.get('Mine').threshold, -12);
+  assert.strictEqual(store.get('Broken'), null);
+});
+
+test('imported presets that are not objects are skipped one at a time', () => {
+  const store = new PresetStore(createStorage());
+  const imported = store.importJson(JSON.stringify({
+    version: 1,
+    presets: { Broken: null, Number: 3, Mine: { threshold: -12 }, Default: { threshold: -3 } },
+  }));
+
+  assert.deepStrictEqual(imported, ['Mine']);
+  assert.strictEqual(store.get('Mine').threshold, -12);
+  assert.strictEqual(store.get('Default').threshold, DEFAULT_NORMALIZER_PARAMETERS.threshold);
+});
+
+test('"__proto__" and "constructor" are ordinary preset names', () => {
+  const storage = createStorage();
+  const store = new PresetStore(storage);
+  assert.strictEqual(store.get('constructor'), null);
+  assert.strictEqual(store.get('__proto__'), null);
+
+  const imported = store.importJson('{"presets": {"__proto__": {"threshold": -12}, "constructor": {"threshold": -9}}}');
+  assert.deepStrictEqual(imported.sort(), ['__proto__', 'constructor']);
+  assert.strictEqual(store.get('__proto__').threshold, -12);
+  assert.strictEqual(store.get('constructor').threshold, -9);
+  assert.strictEqual({}.threshold, undefined, 'Object.prototype is untouched');
+
+  const reloaded = new PresetStore(storage);
+  assert.strictEqual(reloaded.get('__proto__').threshold, -12);
+  reloaded.remove('constructor');
+  assert.strictEqual(reloaded.get('constructor'), null);
+  assert.deepStrictEqual(Object.keys(JSON.parse(reloaded.exportJson()).presets), ['__proto__']);
+});
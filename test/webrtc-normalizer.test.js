@@ -0,0 +1,106 @@
+/**
+ * RemoteAudioNormalizer tests with stand-ins for the media element, MediaStream and the participant manager
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+
+const elements = [];
+
+globalThis.Audio = class {
+  constructor() {
+    this.paused = true;
+    this.srcObject = null;
+    elements.push(this);
+  }
+
+  play() {
+    this.paused = false;
+    return Promise.resolve();
+  }
+
+  pause() {
+    this.paused = true;
+  }
+};
+
+globalThis.MediaStream = class {
+  constructor(tracks) {
+    this.tracks = tracks;
+  }
+};
+
+const { RemoteAudioNormalizer } = require('../src/webrtc-normalizer.js');
+
+function createTrack() {
+  const track = new EventTarget();
+  track.kind = 'audio';
+  track.muted = false;
+  return track;
+}
+
+test('a failed addParticipant leaves no track entry, element or listeners behind', async () => {
+  const normalizer = {};
+  let fail = true;
+  const manager = {
+    addParticipant: async () => {
+      if (fail) throw new Error('worklet failed to load');
+      return normalizer;
+    },
+    removeParticipant: () => {},
+    getNormalizer: () => normalizer,
+  };
+
+  const remote = new RemoteAudioNormalizer({ manager });
+  const muted = [];
+  remote.onParticipantMuted = (participantId, isMuted) => muted.push(isMuted);
+
+  const track = createTrack();
+  await assert.rejects(remote.addTrack('alice', track), /worklet failed to load/);
+
+  assert.strictEqual(remote.tracks.has('alice'), false);
+  assert.strictEqual(elements[0].paused, true);
+  assert.strictEqual(elements[0].srcObject, null);
+  track.dispatchEvent(new Event('mute'));
+  assert.deepStrictEqual(muted, [], 'track listeners were removed');
+
+  fail = false;
+  assert.strictEqual(await remote.addTrack('alice', track), normalizer, 'a retry starts clean');
+  assert.strictEqual(remote.tracks.get('alice').track, track);
+  assert.strictEqual(elements.length, 2);
+});
+
+test('track failures are dispatched as error events without logging', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const manager = {
+    addParticipant: async () => {
+      throw new Error('worklet failed to load');
+    },
+    removeParticipant: () => {},
+  };
+
+  const remote = new RemoteAudioNormalizer({ manager, participantId: () => 'bob' });
+  const failed = new Promise(resolve => remote.addEventListener('error', (event) => resolve(event.detail)));
+  remote.handleTrack(null, { track: createTrack(), streams: [] });
+
+  const detail = await failed;
+  assert.strictEqual(detail.phase, 'track');
+  assert.strictEqual(detail.participantId, 'bob');
+  assert.match(detail.error.message, /worklet failed to load/);
+  assert.strictEqual(logged.mock.callCount(), 0);
+});
+
+test('a failure to close the owned audio context is dispatched as an error event', async () => {
+  const remote = new RemoteAudioNormalizer({
+    manager: {
+      destroy: async () => {
+        throw new Error('close failed');
+      },
+    },
+  });
+  remote.ownsManager = true;
+  const errors = [];
+  remote.addEventListener('error', (event) => errors.push(event.detail));
+
+  await remote.destroy();
+  assert.deepStrictEqual(errors.map(error => [error.phase, error.error.message]), [['destroy', 'close failed']]);
+});